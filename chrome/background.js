@@ -12,6 +12,36 @@ const brw = chrome;
  */
 const activationPrefix = "activation_";
 
+/**
+ * The prefix for the keys in the session storage under which the pattern detection results of the frames of the tabs are stored.
+ * @constant
+ * @type {string}
+ */
+const resultsPrefix = "results_";
+
+/**
+ * The prefix for the keys in the session storage under which the steps of the checkout in the tabs are stored.
+ * @constant
+ * @type {string}
+ */
+const checkoutPrefix = "checkout_";
+
+/**
+ * The maximum number of steps of a checkout that are kept for a tab. Older steps are discarded.
+ * @constant
+ * @type {number}
+ */
+const maxCheckoutSteps = 10;
+
+/**
+ * The minimum confidence score of a detection to be considered a strong detection.
+ * If at least one visible element was detected with such a score, the count on the icon is displayed in red,
+ * otherwise in orange.
+ * @constant
+ * @type {number}
+ */
+const strongConfidenceScore = 0.8;
+
 /**
  * The object to access the browser storage API.
  * If no session storage is supported, use local storage (Firefox).
@@ -20,6 +50,22 @@ const activationPrefix = "activation_";
  */
 const storage = brw.storage.session ? brw.storage.session : brw.storage.local;
 
+/**
+ * The object to access the browser storage API for the settings of the extension.
+ * Must be the same storage as `settingsStorage` in `settings.js`, which cannot be imported into the background script.
+ * @constant
+ * @type {object}
+ */
+const settingsStorage = brw.storage.sync ? brw.storage.sync : brw.storage.local;
+
+/**
+ * Retrieves the class names of the patterns that the user has disabled from the settings.
+ * @returns {Promise<Array<string>>} The class names of the disabled patterns.
+ */
+async function getDisabledPatterns() {
+    return (await settingsStorage.get({ disabledPatterns: [] })).disabledPatterns;
+}
+
 /**
  * Retrieves the activation state for a tab from the session storage and returns it.
  * @param {number} tabId The ID of the tab of which the activation state should be retrieved.
@@ -59,20 +105,79 @@ async function removeActivation(tabId){
 }
 
 /**
- * Retrieves the activation state for a tab from the session storage and returns it.
- * Sets the activation state to `true` (activated) if it is not already set (new tab).
+ * Checks if a site rule applies to a URL.
+ * The pattern of a rule consists of a host name and optionally a path, e.g. `intranet.example.com` or `example.com/account`.
+ * A `*` stands for any characters. A leading `*.` also matches the domain itself, i.e. `*.shop.de` matches
+ * `shop.de` as well as `www.shop.de`. The path of a pattern matches all paths that begin with it.
+ * @param {string} pattern The pattern of the site rule.
+ * @param {string} url The URL to be checked.
+ * @returns {boolean} `true` if the rule applies to the URL, `false` otherwise.
+ */
+function siteRuleMatches(pattern, url) {
+    const { hostname, pathname } = new URL(url);
+    // Split the pattern into the host and the path, if present.
+    const slashIdx = pattern.indexOf("/");
+    const hostPattern = slashIdx === -1 ? pattern : pattern.slice(0, slashIdx);
+    const pathPattern = slashIdx === -1 ? null : pattern.slice(slashIdx);
+    // Convert a pattern into the source of a regular expression, in which only `*` has a special meaning.
+    const toRegexSource = (glob) => glob.split("*").map(part => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+    const hostRegexSource = hostPattern.startsWith("*.") ? "(?:.*\\.)?" + toRegexSource(hostPattern.slice(2)) : toRegexSource(hostPattern);
+    if (!new RegExp(`^${hostRegexSource}$`, "i").test(hostname)) {
+        return false;
+    }
+    return pathPattern === null || new RegExp(`^${toRegexSource(pathPattern)}`, "i").test(pathname);
+}
+
+/**
+ * Finds the site rule that applies to a URL.
+ * If several rules apply, the most specific one, i.e. the one with the longest pattern, is used.
+ * If rules with patterns of the same length contradict each other, the blocking rule is used.
+ * @param {Array<{pattern: string, mode: ("allow"|"block")}>} siteRules The site rules defined by the user.
+ * @param {string} url The URL for which the rule is searched.
+ * @returns {({pattern: string, mode: ("allow"|"block")}|null)} The applying rule or `null` if there is none.
+ */
+function findSiteRule(siteRules, url) {
+    const matchingRules = siteRules
+        .filter(rule => siteRuleMatches(rule.pattern, url))
+        .sort((a, b) => b.pattern.length - a.pattern.length || (b.mode === "block") - (a.mode === "block"));
+    return matchingRules[0] ?? null;
+}
+
+/**
+ * Retrieves the site rule that applies to the page loaded in a tab (see `findSiteRule`).
+ * @param {number} tabId The ID of the tab.
+ * @returns {Promise<({pattern: string, mode: ("allow"|"block")}|null)>} The applying rule or `null` if there is none.
+ */
+async function getTabSiteRule(tabId) {
+    const tab = await brw.tabs.get(tabId);
+    const siteRules = (await settingsStorage.get({ siteRules: [] })).siteRules;
+    return tab.url ? findSiteRule(siteRules, tab.url) : null;
+}
+
+/**
+ * Retrieves the activation state for a tab and returns it.
+ * The persistent rules of the user for the site of the tab take precedence (see `findSiteRule`).
+ * If no rule applies, the activation state of the tab in the session storage is used.
+ * If it is not already set (new tab), it is set according to the default mode of the user,
+ * i.e. to `true` (activated) if the extension runs everywhere, or to `false` if it runs only on allowed sites.
  * @param {number} tabId The ID of the tab of which the activation state should be retrieved.
  * @returns {Promise<boolean>} `true` if the extension is activated, `false` if it is deactivated.
  */
 async function getActivationOrSetDefault(tabId){
+    // Use the rule for the site of the tab, if there is one.
+    const siteRule = await getTabSiteRule(tabId);
+    if (siteRule) {
+        return siteRule.mode === "allow";
+    }
+
     // Load the activation state from the session storage.
     let activation = await getActivation(tabId);
 
-    // If there is no activation state saved for the tab yet, set it to active.
+    // If there is no activation state saved for the tab yet, set it according to the default mode.
     if (activation === undefined){
-        // Set the variable to `true` so that this will be returned later.
-        activation = true;
-        // Set the activation state in the session storage to `true` (active).
+        // Set the variable to the default so that this will be returned later.
+        activation = (await settingsStorage.get({ defaultActivation: "on" })).defaultActivation === "on";
+        // Set the activation state in the session storage to the default.
         await setActivation(tabId, activation);
     };
 
@@ -80,6 +185,188 @@ async function getActivationOrSetDefault(tabId){
     return activation;
 }
 
+/**
+ * A promise for the last update of the stored frame results.
+ * Updates are chained to this promise, so that the results of several frames
+ * that arrive at the same time do not overwrite each other.
+ * @type {Promise}
+ */
+let frameResultsQueue = Promise.resolve();
+
+/**
+ * Updates the pattern detection results of the frames of a tab in the session storage.
+ * The updates are executed one after the other (see `frameResultsQueue`).
+ * @param {number} tabId The ID of the tab of which the results should be updated.
+ * @param {function(Object.<number, object>): void} update A function that modifies the object
+ * with the results of the frames of the tab, where the keys are the frame IDs.
+ * @returns {Promise<object>} The combined results of all frames of the tab after the update.
+ */
+function updateFrameResults(tabId, update) {
+    // Compose the key from the `resultsPrefix` and the `tabId`.
+    const key = `${resultsPrefix}${tabId}`;
+    // Chain the update to the previous one.
+    const result = frameResultsQueue.then(async () => {
+        // Load the results of the frames from the session storage.
+        let frameResults = Object.values(await storage.get(key))[0] || {};
+        // Apply the update and save the results.
+        update(frameResults);
+        await storage.set({ [key]: frameResults });
+        // Return the combined results of all frames.
+        return combineFrameResults(frameResults);
+    });
+    // Continue the queue even if the update fails.
+    frameResultsQueue = result.catch(() => { });
+    return result;
+}
+
+/**
+ * Retrieves the combined pattern detection results of all frames of a tab from the session storage.
+ * @param {number} tabId The ID of the tab of which the results should be retrieved.
+ * @returns {Promise<object>} The combined results of all frames of the tab.
+ */
+async function getTabResults(tabId) {
+    // Wait for pending updates and combine the stored results without modifying them.
+    return await updateFrameResults(tabId, () => { });
+}
+
+/**
+ * Removes the pattern detection results of all frames of a tab from the session storage.
+ * Used when a new page is loaded in a tab or a tab is closed.
+ * @param {number} tabId The ID of the tab of which the results should be removed.
+ */
+async function removeTabResults(tabId) {
+    // Remove the results after the pending updates.
+    frameResultsQueue = frameResultsQueue.then(() => storage.remove(`${resultsPrefix}${tabId}`)).catch(() => { });
+    return await frameResultsQueue;
+}
+
+/**
+ * Removes the pattern detection results of a single frame of a tab from the session storage.
+ * Used when a new page is loaded in a frame other than the main frame,
+ * so that the results of the previous page of the frame no longer count for the tab.
+ * @param {number} tabId The ID of the tab of which the results should be removed.
+ * @param {number} frameId The ID of the frame of which the results should be removed.
+ */
+async function removeFrameResults(tabId, frameId) {
+    return await updateFrameResults(tabId, (frameResults) => {
+        delete frameResults[frameId];
+    });
+}
+
+/**
+ * Retrieves the steps of the checkout in a tab from the session storage.
+ * @param {number} tabId The ID of the tab of which the steps should be retrieved.
+ * @returns {Promise<Array<object>>} The steps of the checkout, sorted from first to last.
+ * The array is empty if no checkout is recorded for the tab.
+ */
+async function getCheckoutFlow(tabId) {
+    return Object.values(await storage.get(`${checkoutPrefix}${tabId}`))[0] || [];
+}
+
+/**
+ * Records a step of the checkout in a tab in the session storage.
+ * A step of the same page as the last step replaces it, otherwise the step is appended.
+ * @param {number} tabId The ID of the tab in which the step was recorded.
+ * @param {(object|null)} step The step with the URL, title, total and fees of the page,
+ * or `null` if the page does not belong to a checkout. In this case, the recorded checkout is removed.
+ * @returns {Promise<Array<object>>} The steps of the checkout after the update.
+ */
+async function updateCheckoutFlow(tabId, step) {
+    if (step === null) {
+        await removeCheckoutFlow(tabId);
+        return [];
+    }
+    let steps = await getCheckoutFlow(tabId);
+    if (steps.length > 0 && steps[steps.length - 1].url === step.url) {
+        steps[steps.length - 1] = step;
+    } else {
+        steps.push(step);
+    }
+    steps = steps.slice(-maxCheckoutSteps);
+    await storage.set({ [`${checkoutPrefix}${tabId}`]: steps });
+    return steps;
+}
+
+/**
+ * Removes the steps of the checkout in a tab from the session storage.
+ * Used when a page outside of the checkout is loaded in a tab or a tab is closed.
+ * @param {number} tabId The ID of the tab of which the steps should be removed.
+ */
+async function removeCheckoutFlow(tabId) {
+    return await storage.remove(`${checkoutPrefix}${tabId}`);
+}
+
+/**
+ * Removes the disabled patterns from the combined pattern detection results of a tab and recomputes the counts,
+ * so that results of frames that were examined before a pattern was disabled do not count for it.
+ * @param {object} results The combined results of all frames of a tab (see `combineFrameResults`).
+ * @param {Array<string>} disabledPatterns The class names of the disabled patterns.
+ * @returns {object} The results without the disabled patterns.
+ */
+function removeDisabledPatterns(results, disabledPatterns) {
+    const patterns = results.patterns.filter(pattern => !disabledPatterns.includes(pattern.className));
+    // Count the distinct elements of the remaining patterns. Elements are identified by the frame ID and their ID.
+    const countElements = (elements) => new Set(elements.map(elem => `${elem.frameId}|${elem.phid}`)).size;
+    return {
+        ...results,
+        patterns: patterns,
+        countVisible: countElements(patterns.flatMap(pattern => pattern.elementsVisible)),
+        count: countElements(patterns.flatMap(pattern => [...pattern.elementsVisible, ...pattern.elementsHidden]))
+    };
+}
+
+/**
+ * Combines the pattern detection results of several frames into the results of the entire tab.
+ * The combined results have the same structure as the results of a single frame,
+ * but the objects of the elements additionally contain the frame ID.
+ * @param {Object.<number, object>} frameResults An object with the results of the frames, where the keys are the frame IDs.
+ * @returns {object} The combined results of all frames.
+ */
+function combineFrameResults(frameResults) {
+    // Initialize the combined results with all required keys.
+    let combined = {
+        "patterns": [],
+        "countVisible": 0,
+        "count": 0,
+        "activityNotifications": [],
+        "pageLanguage": { language: null, source: null },
+    };
+    // Iterate over the results of all frames. The main frame has the ID `0` and is therefore the first one.
+    for (const [frameId, results] of Object.entries(frameResults)) {
+        // Iterate over all patterns in the results of the frame.
+        for (const pattern of results.patterns) {
+            // Get the combined entry for the pattern or create it if it does not exist yet.
+            let combinedPattern = combined.patterns.find(p => p.name === pattern.name);
+            if (!combinedPattern) {
+                combinedPattern = { name: pattern.name, className: pattern.className, elementsVisible: [], elementsHidden: [] };
+                combined.patterns.push(combinedPattern);
+            }
+            // Add the elements of the frame together with the frame ID.
+            combinedPattern.elementsVisible.push(...pattern.elementsVisible.map(elem => ({ frameId: Number(frameId), ...elem })));
+            combinedPattern.elementsHidden.push(...pattern.elementsHidden.map(elem => ({ frameId: Number(frameId), ...elem })));
+        }
+        // Use the language of the main frame, or of the first other frame whose language is known.
+        if (combined.pageLanguage.language === null && results.pageLanguage?.language) {
+            combined.pageLanguage = results.pageLanguage;
+        }
+        // Add the counts of the frame to the total counts.
+        combined.countVisible += results.countVisible;
+        combined.count += results.count;
+        // Combine the activity notifications of the frames that were detected by the same rule.
+        for (const notification of results.activityNotifications ?? []) {
+            let combinedNotification = combined.activityNotifications.find(n => n.rule === notification.rule);
+            if (!combinedNotification) {
+                combined.activityNotifications.push({ ...notification });
+                continue;
+            }
+            combinedNotification.count += notification.count;
+            combinedNotification.texts = [...new Set([...combinedNotification.texts, ...notification.texts])].slice(0, 5);
+            combinedNotification.lastSeen = Math.max(combinedNotification.lastSeen, notification.lastSeen);
+        }
+    }
+    return combined;
+}
+
 // Add event listeners for messages from other scripts of the extension.
 // The defined callback function is executed when a message is received from the content or popup script.
 brw.runtime.onMessage.addListener(
@@ -91,11 +378,19 @@ brw.runtime.onMessage.addListener(
             // Check if the extension should actually be active for the tab.
             // The case where this message is received from a tab that is not activated is unexpected.
             // To be on the safe side, it is checked anyway.
-            getActivation(sender.tab.id).then((activation) => {
+            getActivationOrSetDefault(sender.tab.id).then(async (activation) => {
                 if (activation === true){
+                    // Store the results of the frame from which the message was received
+                    // and combine them with the results of the other frames of the tab.
+                    // The patterns disabled by the user are neither counted nor sent.
+                    const tabResults = removeDisabledPatterns(await updateFrameResults(sender.tab.id, (frameResults) => {
+                        frameResults[sender.frameId] = message;
+                    }), await getDisabledPatterns());
                     // Update the number of patterns detected on the icon
                     // for the tab from which the message was received.
-                    displayPatternCount(message.countVisible, sender.tab.id);
+                    displayPatternCount(tabResults.countVisible, sender.tab.id, getMaxVisibleScore(tabResults));
+                    // Send the combined results to the popup, if it is open. Do nothing if there is no receiver.
+                    brw.runtime.sendMessage({ tabResults: tabResults, tabId: sender.tab.id }).catch(() => { });
                 }
                 // Send a simple reply with confirmation of successful execution.
                 sendResponse({ success: true });
@@ -117,6 +412,36 @@ brw.runtime.onMessage.addListener(
                 sendResponse({ success: true });
             });
 
+        } else if ("action" in message && message.action == "getTabResults" && "tabId" in message) {
+            // If the message contains the `action` key with the value `getTabResults` and a tab ID,
+            // the combined results of all frames of the tab should be sent as a response.
+            // This is the case if the message was sent from the popup.
+            getTabResults(message.tabId).then(async (tabResults) => {
+                // Respond with the combined results of the tab without the patterns disabled by the user.
+                sendResponse(removeDisabledPatterns(tabResults, await getDisabledPatterns()));
+            });
+
+        } else if ("action" in message && message.action == "recordCheckoutStep") {
+            // If the message contains the `action` key with the value `recordCheckoutStep`,
+            // the step of the checkout on the page of the tab should be recorded.
+            // This is the case if the message was sent from the content script of the main frame.
+            updateCheckoutFlow(sender.tab.id, message.step).then((steps) => {
+                // Send the steps to the popup, if it is open. Do nothing if there is no receiver.
+                brw.runtime.sendMessage({ checkoutFlow: steps, tabId: sender.tab.id }).catch(() => { });
+                // Send a simple reply with confirmation of successful execution.
+                sendResponse({ success: true });
+            });
+
+        } else if ("action" in message && message.action == "getCheckoutFlow") {
+            // If the message contains the `action` key with the value `getCheckoutFlow`,
+            // the steps of the checkout in the tab should be sent as a response.
+            // The tab ID is included in the message if it was sent from the popup,
+            // otherwise it is extracted from the `sender` object.
+            getCheckoutFlow(message.tabId ?? sender.tab.id).then((steps) => {
+                // Respond with the steps of the checkout.
+                sendResponse(steps);
+            });
+
         } else if ("action" in message && message.action == "getActivationState") {
             // If the message contains the `action` key with the value `getActivationState`,
             // the activation state of the corresponding tab should be sent as a response.
@@ -131,11 +456,20 @@ brw.runtime.onMessage.addListener(
                 // If the tab ID is not included in the message, extract it from the `sender` object.
                 // This is the case if the message was sent from the content script in a tab.
                 tabId = sender.tab.id;
+                // If the content script of the main frame has been started, a new page has been loaded in the tab.
+                // Therefore, the results of the frames of the previous page are no longer valid.
+                // If the content script of another frame has been started, a new page has been loaded in this frame,
+                // so that only the results of the previous page of the frame are no longer valid.
+                if (sender.frameId === 0) {
+                    removeTabResults(tabId);
+                } else {
+                    removeFrameResults(tabId, sender.frameId);
+                }
             }
 
-            getActivationOrSetDefault(tabId).then((activation) => {
-                // Respond with the activation state of the tab.
-                sendResponse({ isEnabled: activation });
+            getActivationOrSetDefault(tabId).then(async (activation) => {
+                // Respond with the activation state of the tab and the site rule that determines it, if there is one.
+                sendResponse({ isEnabled: activation, siteRule: await getTabSiteRule(tabId) });
             });
 
         } else {
@@ -160,6 +494,10 @@ brw.tabs.onReplaced.addListener(async function (addedTabId, removedTabId) {
     await setActivation(addedTabId, await getActivation(removedTabId));
     // Delete the activation state of the old tab ID.
     await removeActivation(removedTabId);
+    // Delete the results of the old tab ID. The page in the new tab reports its own results.
+    await removeTabResults(removedTabId);
+    // Delete the checkout of the old tab ID.
+    await removeCheckoutFlow(removedTabId);
 });
 
 // Add an event handler that handles the closing of tabs.
@@ -167,6 +505,10 @@ brw.tabs.onReplaced.addListener(async function (addedTabId, removedTabId) {
 brw.tabs.onRemoved.addListener(async function (tabId, removeInfo) {
     // Delete the activation state of the closed tab ID.
     await removeActivation(tabId);
+    // Delete the results of the closed tab ID.
+    await removeTabResults(tabId);
+    // Delete the checkout of the closed tab ID.
+    await removeCheckoutFlow(tabId);
 });
 
 /**
@@ -209,13 +551,25 @@ brw.tabs.onUpdated.addListener(function (tabId, changeInfo, tab) {
     }
 });
 
+/**
+ * Determines the highest confidence score of all visible detected elements in the results.
+ * @param {object} results The results of the pattern detection.
+ * @returns {number} The highest confidence score or `0` if no visible elements were detected.
+ */
+function getMaxVisibleScore(results) {
+    // Collect the scores of the visible elements of all patterns and return the maximum.
+    return Math.max(0, ...results.patterns.flatMap(pattern => pattern.elementsVisible.map(elem => elem.score)));
+}
+
 /**
  * Displays the number of detected pattern elements as a number on the extension's icon in the browser bar.
- * If the number is 0, the background of the number is set to green, otherwise it is red.
+ * If the number is 0, the background of the number is set to green.
+ * Otherwise it is red if at least one element was detected with a strong confidence score, and orange if not.
  * @param {(number|"")} count The amount of detected pattern elements.
  * @param {number} tabId The ID of the tab in which the count should be displayed on the icon.
+ * @param {number} [maxScore=1] The highest confidence score of the detected pattern elements.
  */
-function displayPatternCount(count, tabId) {
+function displayPatternCount(count, tabId, maxScore = 1) {
     // Set the text on the icon (badge) of the specified tab to the count passed.
     brw.action.setBadgeText({
         tabId: tabId,
@@ -228,6 +582,9 @@ function displayPatternCount(count, tabId) {
     if (count == 0) {
         // // Set the background color of the icon text to green.
         bgColor = [0, 255, 0, 255];
+    } else if (maxScore < strongConfidenceScore) {
+        // If only weak detections were made, set the background color of the icon text to orange.
+        bgColor = [255, 165, 0, 255];
     }
     // Set the background color for the icon text of the specified tab.
     brw.action.setBadgeBackgroundColor({
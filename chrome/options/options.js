@@ -0,0 +1,930 @@
+// Import the constants from the module.
+import * as constants from "../scripts/constants.js";
+
+// Import the functions to access the settings from the module.
+import * as settings from "../scripts/settings.js";
+
+// Import the functions to access the patterns defined by the user and the rule packs from the module.
+import * as rules from "../scripts/rules.js";
+
+// Import the required components from the Lit Library
+import { LitElement, html, css } from '../scripts/lit/lit-core.min.js';
+
+// Import component styles
+import { sharedStyles, actionButtonStyles, colorSwatchStyles } from "../popup/styles.js";
+
+/**
+ * The object to access the API functions of the browser.
+ * @constant
+ * @type {{runtime: object, i18n: object}} BrowserAPI
+ */
+const brw = chrome;
+
+// Set the title of the options page in the language of the browser.
+document.title = `${brw.i18n.getMessage("extName")} – ${brw.i18n.getMessage("headingOptions")}`;
+
+/**
+ * Lit component for the entire options page.
+ * Uses all other Lit components defined below.
+ * @extends LitElement
+ */
+export class ExtensionOptions extends LitElement {
+    // CSS styles for the HTML elements in the component.
+    static styles = [
+        sharedStyles
+    ];
+
+    /**
+     * Render the HTML of the component.
+     * @returns {html} HTML of the component
+     */
+    render() {
+        return html`
+            <h1>${brw.i18n.getMessage("extName")} – ${brw.i18n.getMessage("headingOptions")}</h1>
+            <site-rules-editor></site-rules-editor>
+            <highlight-styles-editor></highlight-styles-editor>
+            <custom-patterns-editor></custom-patterns-editor>
+            <rule-packs-editor></rule-packs-editor>
+        `;
+    }
+}
+// Define a custom element for the component so that it can be used in the HTML DOM.
+customElements.define("extension-options", ExtensionOptions);
+
+/**
+ * Lit component for the default mode of the extension and the persistent rules for sites
+ * on which the extension always or never runs.
+ * @extends LitElement
+ */
+export class SiteRulesEditor extends LitElement {
+    // Reactive properties
+    static properties = {
+        // Variable for the default mode for sites without a rule.
+        _defaultActivation: { type: String, state: true },
+        // Variable for the site rules, including the rules whose pattern has not been entered yet.
+        _siteRules: { type: Array, state: true }
+    };
+
+    // CSS styles for the HTML elements in the component.
+    static styles = [
+        sharedStyles,
+        actionButtonStyles,
+        css`
+            label {
+                display: block;
+                margin: 0.5em 0;
+            }
+
+            li {
+                margin: 0.5em 0;
+            }
+
+            li span {
+                margin-left: 1em;
+            }
+        `
+    ];
+
+    constructor() {
+        super();
+        // Set the values initially to the defaults. The stored values will be loaded later.
+        this._defaultActivation = settings.defaultSettings.defaultActivation;
+        this._siteRules = settings.defaultSettings.siteRules;
+    }
+
+    /**
+     * From the Lit documentation (https://lit.dev/docs/components/lifecycle/):
+     * "Called after the element's DOM has been updated the first time, immediately before `updated()` is called.".
+     * Used here to load the stored default mode and site rules.
+     */
+    async firstUpdated() {
+        this._defaultActivation = await settings.getSetting("defaultActivation");
+        this._siteRules = await settings.getSetting("siteRules");
+    }
+
+    /**
+     * Function that stores the selected default mode.
+     * @param {Event} event
+     */
+    async changeDefaultActivation(event) {
+        this._defaultActivation = event.target.value;
+        await settings.setSetting("defaultActivation", this._defaultActivation);
+    }
+
+    /**
+     * Function that updates a site rule and stores the rules. Rules without a pattern are not stored.
+     * @param {number} idx The index of the rule.
+     * @param {{pattern?: string, mode?: string}} changes The changed fields of the rule.
+     */
+    async updateRule(idx, changes) {
+        this._siteRules = this._siteRules.map((rule, i) => i === idx ? { ...rule, ...changes } : rule);
+        await this.saveRules();
+    }
+
+    /**
+     * Function that removes a site rule and stores the remaining rules.
+     * @param {number} idx The index of the rule.
+     */
+    async removeRule(idx) {
+        this._siteRules = this._siteRules.filter((rule, i) => i !== idx);
+        await this.saveRules();
+    }
+
+    /**
+     * Function that stores the site rules with a pattern.
+     */
+    async saveRules() {
+        await settings.setSetting("siteRules", this._siteRules.filter(rule => rule.pattern));
+    }
+
+    /**
+     * Render the HTML of the component.
+     * @returns {html} HTML of the component
+     */
+    render() {
+        return html`
+        <div>
+            <h2>${brw.i18n.getMessage("headingSiteRules")}</h2>
+            <label>
+                <input type="radio" name="default-activation" value="on"
+                    .checked=${this._defaultActivation === "on"} @change=${this.changeDefaultActivation} />
+                ${brw.i18n.getMessage("textDefaultActivationOn")}
+            </label>
+            <label>
+                <input type="radio" name="default-activation" value="optIn"
+                    .checked=${this._defaultActivation === "optIn"} @change=${this.changeDefaultActivation} />
+                ${brw.i18n.getMessage("textDefaultActivationOptIn")}
+            </label>
+            <p>${brw.i18n.getMessage("textSiteRulesInfo")}</p>
+            <ul>
+                ${this._siteRules.map((rule, idx) => html`
+                    <li>
+                        <input type="text" placeholder="*.shop.de" .value=${rule.pattern}
+                            @change=${(event) => this.updateRule(idx, { pattern: settings.normalizeSitePattern(event.target.value) })} />
+                        <select @change=${(event) => this.updateRule(idx, { mode: event.target.value })}>
+                            <option value="allow" ?selected=${rule.mode === "allow"}>${brw.i18n.getMessage("textSiteRuleAllow")}</option>
+                            <option value="block" ?selected=${rule.mode === "block"}>${brw.i18n.getMessage("textSiteRuleBlock")}</option>
+                        </select>
+                        <span @click=${() => this.removeRule(idx)}>${brw.i18n.getMessage("buttonRemoveSiteRule")}</span>
+                    </li>`)}
+            </ul>
+            <div>
+                <span @click=${() => this._siteRules = [...this._siteRules, { pattern: "", mode: "block" }]}>
+                    ${brw.i18n.getMessage("buttonAddSiteRule")}
+                </span>
+            </div>
+        </div>
+      `;
+    }
+}
+// Define a custom element for the component so that it can be used in the HTML DOM.
+customElements.define("site-rules-editor", SiteRulesEditor);
+
+/**
+ * Lit component for the highlight styles of the patterns, i.e. their color, outline style, thickness and tint,
+ * with presets of color-blind-safe styles for all patterns.
+ * @extends LitElement
+ */
+export class HighlightStylesEditor extends LitElement {
+    // Reactive properties
+    static properties = {
+        // Variable for the highlight styles set by the user.
+        _patternStyles: { type: Object, state: true }
+    };
+
+    // CSS styles for the HTML elements in the component.
+    static styles = [
+        sharedStyles,
+        actionButtonStyles,
+        colorSwatchStyles,
+        css`
+            table {
+                border-collapse: collapse;
+            }
+
+            td,
+            th {
+                padding: 0.25em 0.5em;
+                text-align: left;
+            }
+
+            input[type=number] {
+                width: 3.5em;
+            }
+
+            div span {
+                margin-right: 1em;
+            }
+        `
+    ];
+
+    constructor() {
+        super();
+        // Set the styles initially to the default value. The stored styles will be loaded later.
+        this._patternStyles = settings.defaultSettings.patternStyles;
+    }
+
+    /**
+     * From the Lit documentation (https://lit.dev/docs/components/lifecycle/):
+     * "Called after the element's DOM has been updated the first time, immediately before `updated()` is called.".
+     * Used here to load the stored highlight styles.
+     */
+    async firstUpdated() {
+        this._patternStyles = await settings.getSetting("patternStyles");
+    }
+
+    /**
+     * Function that stores the highlight styles. The content scripts react to the change of the setting.
+     * @param {Object.<string, HighlightStyle>} patternStyles The highlight styles with the class names of the patterns as keys.
+     */
+    async saveStyles(patternStyles) {
+        this._patternStyles = patternStyles;
+        await settings.setSetting("patternStyles", patternStyles);
+    }
+
+    /**
+     * Function that changes the highlight style of a pattern.
+     * The remaining fields are taken from the current style of the pattern.
+     * @param {object} pattern The pattern of the `patternConfig`.
+     * @param {{color?: string, outlineStyle?: string, thickness?: number, tint?: boolean}} changes The changed fields of the style.
+     */
+    async updateStyle(pattern, changes) {
+        const style = constants.getPatternHighlightStyle(pattern, this._patternStyles) ?? constants.defaultHighlightStyle;
+        await this.saveStyles({ ...this._patternStyles, [pattern.className]: { ...style, ...changes } });
+    }
+
+    /**
+     * Render the HTML of the component.
+     * @returns {html} HTML of the component
+     */
+    render() {
+        return html`
+        <div>
+            <h2>${brw.i18n.getMessage("headingHighlightStyles")}</h2>
+            <p>${brw.i18n.getMessage("textHighlightStylesInfo")}</p>
+            <div>
+                ${Object.keys(constants.highlightPresets).map(presetName => html`
+                    <span @click=${() => this.saveStyles(constants.createPresetHighlightStyles(presetName))}>
+                        ${brw.i18n.getMessage(`buttonHighlightPreset_${presetName}`)}
+                    </span>
+                `)}
+                <span @click=${() => this.saveStyles({})}>${brw.i18n.getMessage("buttonResetHighlightStyles")}</span>
+            </div>
+            <table>
+                <tr>
+                    <th></th>
+                    <th>${brw.i18n.getMessage("labelHighlightColor")}</th>
+                    <th>${brw.i18n.getMessage("labelHighlightOutlineStyle")}</th>
+                    <th>${brw.i18n.getMessage("labelHighlightThickness")}</th>
+                    <th>${brw.i18n.getMessage("labelHighlightTint")}</th>
+                </tr>
+                ${constants.patternConfig.patterns.map(pattern => {
+            const style = constants.getPatternHighlightStyle(pattern, this._patternStyles) ?? constants.defaultHighlightStyle;
+            return html`
+                    <tr>
+                        <td>
+                            <span class="color-swatch" style="${constants.getHighlightSwatchStyle(style)}"></span>
+                            ${pattern.name}
+                        </td>
+                        <td>
+                            <input type="color" .value=${style.color}
+                                @change=${(event) => this.updateStyle(pattern, { color: event.target.value })} />
+                        </td>
+                        <td>
+                            <select @change=${(event) => this.updateStyle(pattern, { outlineStyle: event.target.value })}>
+                                ${constants.highlightOutlineStyles.map(outlineStyle => html`
+                                    <option value=${outlineStyle} ?selected=${style.outlineStyle === outlineStyle}>
+                                        ${brw.i18n.getMessage(`textOutlineStyle_${outlineStyle}`)}
+                                    </option>
+                                `)}
+                            </select>
+                        </td>
+                        <td>
+                            <input type="number" min=${constants.highlightThicknessRange.min} max=${constants.highlightThicknessRange.max}
+                                .value=${String(style.thickness)}
+                                @change=${(event) => this.updateStyle(pattern, { thickness: parseInt(event.target.value) })} />
+                        </td>
+                        <td>
+                            <input type="checkbox" .checked=${style.tint}
+                                @change=${(event) => this.updateStyle(pattern, { tint: event.target.checked })} />
+                        </td>
+                    </tr>`;
+        })}
+            </table>
+        </div>
+      `;
+    }
+}
+// Define a custom element for the component so that it can be used in the HTML DOM.
+customElements.define("highlight-styles-editor", HighlightStylesEditor);
+
+/**
+ * Lit component for the list of the custom patterns defined by the user.
+ * @extends LitElement
+ */
+export class CustomPatternsEditor extends LitElement {
+    // Reactive properties
+    static properties = {
+        // Variable for the stored custom patterns.
+        _patterns: { type: Array, state: true }
+    };
+
+    // CSS styles for the HTML elements in the component.
+    static styles = [
+        sharedStyles,
+        actionButtonStyles
+    ];
+
+    constructor() {
+        super();
+        // Set the patterns initially to an empty array. The stored patterns will be loaded later.
+        this._patterns = [];
+    }
+
+    /**
+     * From the Lit documentation (https://lit.dev/docs/components/lifecycle/):
+     * "Called after the element's DOM has been updated the first time, immediately before `updated()` is called.".
+     * Used here to load the stored custom patterns.
+     */
+    async firstUpdated() {
+        this._patterns = await rules.getCustomPatterns();
+    }
+
+    /**
+     * Function that adds a new, empty custom pattern to the list. It is stored when it is saved for the first time.
+     */
+    addPattern() {
+        this._patterns = [...this._patterns, rules.createCustomPattern()];
+    }
+
+    /**
+     * Function that checks a custom pattern and stores it, replacing the stored version of the pattern.
+     * @param {CustomPattern} pattern The edited custom pattern.
+     * @returns {Promise<(string|null)>} The error message if the pattern is invalid, `null` otherwise.
+     */
+    async savePattern(pattern) {
+        const error = getCustomPatternError(pattern, this._patterns);
+        if (error) {
+            return error;
+        }
+        // Replace the pattern in the stored patterns or append it, if it is new.
+        let storedPatterns = await rules.getCustomPatterns();
+        const idx = storedPatterns.findIndex(p => p.id === pattern.id);
+        if (idx === -1) {
+            storedPatterns.push(pattern);
+        } else {
+            storedPatterns[idx] = pattern;
+        }
+        await rules.setCustomPatterns(storedPatterns);
+        this._patterns = this._patterns.map(p => p.id === pattern.id ? pattern : p);
+        return null;
+    }
+
+    /**
+     * Function that removes a custom pattern from the list and from the storage.
+     * @param {CustomPattern} pattern The custom pattern to be removed.
+     */
+    async deletePattern(pattern) {
+        await rules.setCustomPatterns((await rules.getCustomPatterns()).filter(p => p.id !== pattern.id));
+        this._patterns = this._patterns.filter(p => p.id !== pattern.id);
+    }
+
+    /**
+     * Render the HTML of the component.
+     * @returns {html} HTML of the component
+     */
+    render() {
+        return html`
+        <div>
+            <h2>${brw.i18n.getMessage("headingCustomPatterns")}</h2>
+            <p>${brw.i18n.getMessage("textCustomPatternsInfo")}</p>
+            ${this._patterns.map(pattern => html`
+                <custom-pattern-form .pattern=${pattern} .editor=${this}></custom-pattern-form>
+            `)}
+            <div>
+                <span @click=${this.addPattern}>${brw.i18n.getMessage("buttonAddPattern")}</span>
+            </div>
+        </div>
+      `;
+    }
+}
+// Define a custom element for the component so that it can be used in the HTML DOM.
+customElements.define("custom-patterns-editor", CustomPatternsEditor);
+
+/**
+ * Checks a custom pattern for errors before it is stored.
+ * @param {CustomPattern} pattern The custom pattern to be checked.
+ * @param {Array<CustomPattern>} otherPatterns The other custom patterns, whose names must not be reused.
+ * @returns {(string|null)} The localized error message, or `null` if the pattern is valid.
+ */
+function getCustomPatternError(pattern, otherPatterns) {
+    // The name must not be empty and must not be used by a built-in or another custom pattern,
+    // since the patterns are identified by their names in the results.
+    const name = pattern.name.trim();
+    if (!name || constants.patternConfig.patterns.some(p => !p.custom && p.name === name) ||
+        otherPatterns.some(p => p.id !== pattern.id && p.name.trim() === name)) {
+        return brw.i18n.getMessage("errorCustomPatternName");
+    }
+    // The languages must be ISO 639-1 codes.
+    const languages = Object.keys(pattern.languages);
+    if (languages.length === 0 || languages.some(language => !/^[a-z]{2}$/.test(language))) {
+        return brw.i18n.getMessage("errorCustomPatternLanguage");
+    }
+    // The regular expressions must be valid and there must be at least one for each language.
+    if (!constants.validatePatternRule(rules.customPatternToRule(pattern))) {
+        return brw.i18n.getMessage("errorCustomPatternRegex");
+    }
+    return null;
+}
+
+/**
+ * Lit component for the form to edit a single custom pattern, with a box to test it against a sample text.
+ * @extends LitElement
+ */
+export class CustomPatternForm extends LitElement {
+    // Reactive properties
+    static properties = {
+        // Variable for the stored version of the custom pattern.
+        pattern: { type: Object },
+        // Variable for the reference to the list component.
+        editor: { type: Object },
+        // Variable for the edited fields of the pattern. The languages are kept as an array of pairs,
+        // so that their codes can be edited, and the regular expressions as text with one expression per line.
+        _draft: { type: Object, state: true },
+        // Variable for the sample text to test the pattern against.
+        _sampleText: { type: String, state: true },
+        // Variable for the message after saving.
+        _message: { type: String, state: true },
+        // Variable that specifies whether the message after saving is an error.
+        _messageIsError: { type: Boolean, state: true }
+    };
+
+    // CSS styles for the HTML elements in the component.
+    static styles = [
+        sharedStyles,
+        actionButtonStyles,
+        css`
+            fieldset {
+                margin: 1em 0;
+                border-radius: 4px;
+            }
+
+            label {
+                display: block;
+                margin: 0.5em 0;
+            }
+
+            input[type=text],
+            textarea {
+                width: 100%;
+                box-sizing: border-box;
+            }
+
+            .language input[type=text] {
+                width: 4em;
+            }
+
+            div {
+                margin: 0.5em 0;
+            }
+
+            div span {
+                margin-right: 1em;
+            }
+
+            .error {
+                color: red;
+            }
+        `
+    ];
+
+    constructor() {
+        super();
+        this._sampleText = "";
+        this._message = "";
+        this._messageIsError = false;
+    }
+
+    /**
+     * From the Lit documentation (https://lit.dev/docs/components/lifecycle/):
+     * "Called before `update()` to compute values needed during the update.".
+     * Used here to start the editing with the stored version of the pattern.
+     * @param {Map} changedProperties
+     */
+    willUpdate(changedProperties) {
+        if (changedProperties.has("pattern")) {
+            this._draft = {
+                ...this.pattern,
+                languages: Object.entries(this.pattern.languages).map(([language, regexes]) => ({
+                    language: language,
+                    regexes: regexes.join("\n")
+                }))
+            };
+        }
+    }
+
+    /**
+     * Function that converts the edited fields into a custom pattern.
+     * Empty lines of the regular expressions are ignored.
+     * @returns {CustomPattern} The edited custom pattern.
+     */
+    getEditedPattern() {
+        return {
+            ...this._draft,
+            languages: Object.fromEntries(this._draft.languages.map(({ language, regexes }) => [
+                language.trim().toLowerCase(),
+                regexes.split("\n").filter(regex => regex.trim())
+            ]))
+        };
+    }
+
+    /**
+     * Function that updates a field of the edited pattern.
+     * @param {string} field The name of the field.
+     * @param {any} value The new value of the field.
+     */
+    updateField(field, value) {
+        this._draft = { ...this._draft, [field]: value };
+    }
+
+    /**
+     * Function that updates the code or the regular expressions of a language of the edited pattern.
+     * @param {number} idx The index of the language.
+     * @param {string} field `"language"` or `"regexes"`.
+     * @param {string} value The new value.
+     */
+    updateLanguage(idx, field, value) {
+        this.updateField("languages", this._draft.languages.map((entry, i) => i === idx ? { ...entry, [field]: value } : entry));
+    }
+
+    /**
+     * Function that saves the edited pattern and displays an error if it is invalid.
+     */
+    async save() {
+        const error = await this.editor.savePattern(this.getEditedPattern());
+        this._messageIsError = error !== null;
+        this._message = error ?? brw.i18n.getMessage("textCustomPatternSaved");
+    }
+
+    /**
+     * Function that returns the result of testing the edited pattern against the sample text.
+     * @returns {html} HTML of the result, or an empty string if there is no sample text.
+     */
+    getTestResult() {
+        if (!this._sampleText) {
+            return html``;
+        }
+        const rule = rules.customPatternToRule(this.getEditedPattern());
+        if (!constants.validatePatternRule(rule)) {
+            return html`<p class="error">${brw.i18n.getMessage("errorCustomPatternRegex")}</p>`;
+        }
+        const result = constants.testPatternRule(rule, this._sampleText);
+        if (!result) {
+            return html`<p>${brw.i18n.getMessage("textSampleNoMatch")}</p>`;
+        }
+        return html`<p>${brw.i18n.getMessage("textSampleMatch", [result.evidence.match, result.evidence.language.toUpperCase()])}</p>`;
+    }
+
+    /**
+     * Render the HTML of the component.
+     * @returns {html} HTML of the component
+     */
+    render() {
+        return html`
+        <fieldset>
+            <legend>${this.pattern.name || brw.i18n.getMessage("textNewCustomPattern")}</legend>
+            <label>
+                <input type="checkbox" .checked=${this._draft.enabled}
+                    @change=${(event) => this.updateField("enabled", event.target.checked)} />
+                ${brw.i18n.getMessage("labelCustomPatternEnabled")}
+            </label>
+            <label>
+                ${brw.i18n.getMessage("labelCustomPatternName")}
+                <input type="text" .value=${this._draft.name}
+                    @input=${(event) => this.updateField("name", event.target.value)} />
+            </label>
+            <label>
+                ${brw.i18n.getMessage("labelCustomPatternDescription")}
+                <input type="text" .value=${this._draft.description}
+                    @input=${(event) => this.updateField("description", event.target.value)} />
+            </label>
+            <label>
+                ${brw.i18n.getMessage("labelCustomPatternColor")}
+                <input type="color" .value=${this._draft.color}
+                    @input=${(event) => this.updateField("color", event.target.value)} />
+            </label>
+            ${this._draft.languages.map(({ language, regexes }, idx) => html`
+                <div class="language">
+                    <label>
+                        ${brw.i18n.getMessage("labelCustomPatternLanguage")}
+                        <input type="text" maxlength="2" .value=${language}
+                            @input=${(event) => this.updateLanguage(idx, "language", event.target.value)} />
+                    </label>
+                    <label>
+                        ${brw.i18n.getMessage("labelCustomPatternRegexes")}
+                        <textarea rows="3" .value=${regexes}
+                            @input=${(event) => this.updateLanguage(idx, "regexes", event.target.value)}></textarea>
+                    </label>
+                    <span @click=${() => this.updateField("languages", this._draft.languages.filter((entry, i) => i !== idx))}>
+                        ${brw.i18n.getMessage("buttonRemoveLanguage")}
+                    </span>
+                </div>
+            `)}
+            <div>
+                <span @click=${() => this.updateField("languages", [...this._draft.languages, { language: "", regexes: "" }])}>
+                    ${brw.i18n.getMessage("buttonAddLanguage")}
+                </span>
+            </div>
+            <label>
+                ${brw.i18n.getMessage("labelSampleText")}
+                <textarea rows="2" .value=${this._sampleText}
+                    @input=${(event) => this._sampleText = event.target.value}></textarea>
+            </label>
+            ${this.getTestResult()}
+            <div>
+                <span @click=${this.save}>${brw.i18n.getMessage("buttonSavePattern")}</span>
+                <span @click=${() => this.editor.deletePattern(this.pattern)}>${brw.i18n.getMessage("buttonDeletePattern")}</span>
+            </div>
+            ${this._message ? html`<p class=${this._messageIsError ? "error" : ""}>${this._message}</p>` : html``}
+        </fieldset>
+      `;
+    }
+}
+// Define a custom element for the component so that it can be used in the HTML DOM.
+customElements.define("custom-pattern-form", CustomPatternForm);
+
+/**
+ * Checks a rule pack for errors before it is imported. Besides the metadata and the checksum,
+ * all rules of the pack must conform to the schema, so that no pattern of the pack is skipped later.
+ * @param {any} rulePack The parsed content of the imported file.
+ * @returns {Promise<(string|null)>} The localized error message, or `null` if the pack is valid.
+ */
+async function getImportedRulePackError(rulePack) {
+    const error = await rules.getRulePackError(rulePack);
+    if (error) {
+        return error;
+    }
+    for (const [idx, rule] of rules.rulePackToRules(rulePack).entries()) {
+        const ruleErrors = constants.getPatternRuleErrors(rule);
+        if (ruleErrors.length > 0) {
+            return brw.i18n.getMessage("errorRulePackRule", [constants.formatPatternConfigError({
+                pattern: rule?.name || rule?.className || `#${idx + 1}`,
+                source: "pack",
+                ...ruleErrors[0]
+            })]);
+        }
+    }
+    return null;
+}
+
+/**
+ * Offers a value as JSON file for download.
+ * @param {any} value The value to be saved.
+ * @param {string} fileName The proposed name of the file.
+ */
+function downloadJson(value, fileName) {
+    const url = URL.createObjectURL(new Blob([JSON.stringify(value, null, 2)], { type: "application/json" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Lit component for the imported rule packs, with which curated sets of patterns are shared as files,
+ * and for the export of the custom patterns as a rule pack.
+ * @extends LitElement
+ */
+export class RulePacksEditor extends LitElement {
+    // Reactive properties
+    static properties = {
+        // Variable for the stored rule packs.
+        _packs: { type: Array, state: true },
+        // Variable for the metadata of the rule pack that is exported from the custom patterns.
+        _exportMetadata: { type: Object, state: true },
+        // Variable for the message about the last import or export.
+        _message: { type: String, state: true },
+        // Variable for whether the message is an error message.
+        _messageIsError: { type: Boolean, state: true }
+    };
+
+    // CSS styles for the HTML elements in the component.
+    static styles = [
+        sharedStyles,
+        actionButtonStyles,
+        css`
+            fieldset {
+                margin: 1em 0;
+                border-radius: 4px;
+            }
+
+            label {
+                display: block;
+                margin: 0.5em 0;
+            }
+
+            li {
+                margin: 0.5em 0;
+            }
+
+            li span {
+                margin-left: 1em;
+            }
+
+            .error {
+                color: red;
+            }
+        `
+    ];
+
+    constructor() {
+        super();
+        // Set the packs initially to an empty array. The stored packs will be loaded later.
+        this._packs = [];
+        this._exportMetadata = { name: "", version: "1.0.0", author: "" };
+        this._message = "";
+        this._messageIsError = false;
+    }
+
+    /**
+     * From the Lit documentation (https://lit.dev/docs/components/lifecycle/):
+     * "Called after the element's DOM has been updated the first time, immediately before `updated()` is called.".
+     * Used here to load the stored rule packs.
+     */
+    async firstUpdated() {
+        this._packs = await rules.getRulePacks();
+    }
+
+    /**
+     * Function that displays a message about the last import or export.
+     * @param {string} message The localized message.
+     * @param {boolean} isError Whether the message is an error message.
+     */
+    showMessage(message, isError) {
+        this._message = message;
+        this._messageIsError = isError;
+    }
+
+    /**
+     * Function that stores the rule packs.
+     * @param {Array<StoredRulePack>} packs The rule packs.
+     */
+    async savePacks(packs) {
+        await rules.setRulePacks(packs);
+        this._packs = packs;
+    }
+
+    /**
+     * Function that imports a rule pack from the selected file.
+     * A new version of a pack that has already been imported is stored alongside the previous versions and activated,
+     * so that it can be rolled back later. Importing a stored version again activates it.
+     * @param {Event} event
+     */
+    async importPack(event) {
+        const file = event.target.files[0];
+        // Reset the file input, so that the same file can be selected again.
+        event.target.value = "";
+        if (!file) {
+            return;
+        }
+        let rulePack;
+        try {
+            rulePack = JSON.parse(await file.text());
+        } catch (error) {
+            this.showMessage(brw.i18n.getMessage("errorRulePackFile"), true);
+            return;
+        }
+        const error = await getImportedRulePackError(rulePack);
+        if (error) {
+            this.showMessage(error, true);
+            return;
+        }
+        const packs = await rules.getRulePacks();
+        let pack = packs.find(p => p.id === rulePack.id);
+        if (!pack) {
+            pack = { id: rulePack.id, enabled: true, activeVersion: rulePack.version, versions: [] };
+            packs.push(pack);
+        }
+        // A version must not be replaced by a different content, since it could not be rolled back otherwise.
+        const storedVersion = pack.versions.find(version => rules.compareRulePackVersions(version.version, rulePack.version) === 0);
+        if (storedVersion && storedVersion.integrity !== rulePack.integrity) {
+            this.showMessage(brw.i18n.getMessage("errorRulePackVersionConflict", [rulePack.version]), true);
+            return;
+        }
+        if (!storedVersion) {
+            pack.versions = [...pack.versions, rulePack].sort((a, b) => rules.compareRulePackVersions(a.version, b.version));
+        }
+        pack.activeVersion = rulePack.version;
+        await this.savePacks(packs);
+        this.showMessage(brw.i18n.getMessage("textRulePackImported", [rulePack.name, rulePack.version]), false);
+    }
+
+    /**
+     * Function that changes the fields of a stored rule pack.
+     * @param {StoredRulePack} pack The rule pack.
+     * @param {{enabled?: boolean, activeVersion?: string}} changes The changed fields of the pack.
+     */
+    async updatePack(pack, changes) {
+        await this.savePacks(this._packs.map(p => p.id === pack.id ? { ...p, ...changes } : p));
+    }
+
+    /**
+     * Function that removes a rule pack with all of its versions from the storage.
+     * @param {StoredRulePack} pack The rule pack.
+     */
+    async removePack(pack) {
+        await this.savePacks(this._packs.filter(p => p.id !== pack.id));
+    }
+
+    /**
+     * Function that exports the enabled custom patterns as a rule pack with the entered metadata.
+     */
+    async exportCustomPatterns() {
+        const customPatterns = (await rules.getCustomPatterns()).filter(customPattern => customPattern.enabled);
+        if (customPatterns.length <= 0) {
+            this.showMessage(brw.i18n.getMessage("errorRulePackNoPatterns"), true);
+            return;
+        }
+        const rulePack = await rules.createRulePack(customPatterns, this._exportMetadata);
+        // Check the exported pack in the same way as it is checked on import.
+        const error = await getImportedRulePackError(rulePack);
+        if (error) {
+            this.showMessage(error, true);
+            return;
+        }
+        downloadJson(rulePack, `${rulePack.id}-${rulePack.version}.json`);
+        this.showMessage(brw.i18n.getMessage("textRulePackExported", [rulePack.name, rulePack.version]), false);
+    }
+
+    /**
+     * Render the entry of a stored rule pack in the list.
+     * @param {StoredRulePack} pack The rule pack.
+     * @returns {html} HTML of the entry
+     */
+    renderPack(pack) {
+        const activeVersion = rules.getActiveRulePackVersion(pack);
+        // The next older and newer versions to which the pack can be switched.
+        const olderVersion = pack.versions.filter(version => rules.compareRulePackVersions(version.version, pack.activeVersion) < 0).at(-1);
+        const newerVersion = pack.versions.find(version => rules.compareRulePackVersions(version.version, pack.activeVersion) > 0);
+        return html`
+            <li>
+                <input type="checkbox" title="${brw.i18n.getMessage("textPatternEnabled")}" .checked=${pack.enabled}
+                    @change=${(event) => this.updatePack(pack, { enabled: event.target.checked })} />
+                ${brw.i18n.getMessage("textRulePack", [
+                    activeVersion.name, activeVersion.version, activeVersion.author,
+                    activeVersion.languages.map(language => language.toUpperCase()).join(", ")
+                ])}
+                <div>
+                    ${olderVersion ? html`
+                        <span @click=${() => this.updatePack(pack, { activeVersion: olderVersion.version })}>
+                            ${brw.i18n.getMessage("buttonRollBackRulePack", [olderVersion.version])}
+                        </span>` : html``}
+                    ${newerVersion ? html`
+                        <span @click=${() => this.updatePack(pack, { activeVersion: newerVersion.version })}>
+                            ${brw.i18n.getMessage("buttonUpdateRulePack", [newerVersion.version])}
+                        </span>` : html``}
+                    <span @click=${() => downloadJson(activeVersion, `${activeVersion.id}-${activeVersion.version}.json`)}>
+                        ${brw.i18n.getMessage("buttonExportRulePack")}
+                    </span>
+                    <span @click=${() => this.removePack(pack)}>${brw.i18n.getMessage("buttonRemoveRulePack")}</span>
+                </div>
+            </li>`;
+    }
+
+    /**
+     * Render the HTML of the component.
+     * @returns {html} HTML of the component
+     */
+    render() {
+        return html`
+        <div>
+            <h2>${brw.i18n.getMessage("headingRulePacks")}</h2>
+            <p>${brw.i18n.getMessage("textRulePacksInfo")}</p>
+            <ul>
+                ${this._packs.map(pack => this.renderPack(pack))}
+            </ul>
+            <label>
+                ${brw.i18n.getMessage("labelImportRulePack")}
+                <input type="file" accept=".json,application/json" @change=${this.importPack} />
+            </label>
+            <fieldset>
+                <legend>${brw.i18n.getMessage("headingExportCustomPatterns")}</legend>
+                ${["name", "version", "author"].map(field => html`
+                    <label>
+                        ${brw.i18n.getMessage(`labelRulePack${field.charAt(0).toUpperCase() + field.slice(1)}`)}
+                        <input type="text" .value=${this._exportMetadata[field]}
+                            @input=${(event) => this._exportMetadata = { ...this._exportMetadata, [field]: event.target.value }} />
+                    </label>
+                `)}
+                <div>
+                    <span @click=${this.exportCustomPatterns}>${brw.i18n.getMessage("buttonExportCustomPatterns")}</span>
+                </div>
+            </fieldset>
+            ${this._message ? html`<p class=${this._messageIsError ? "error" : ""}>${this._message}</p>` : html``}
+        </div>
+      `;
+    }
+}
+// Define a custom element for the component so that it can be used in the HTML DOM.
+customElements.define("rule-packs-editor", RulePacksEditor);
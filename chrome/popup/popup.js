@@ -1,11 +1,17 @@
 // Import the constants from the module.
 import * as constants from "../scripts/constants.js";
 
+// Import the functions to access the settings from the module.
+import * as settings from "../scripts/settings.js";
+
+// Import the functions to compare the steps of a checkout from the module.
+import * as checkout from "../scripts/checkout.js";
+
 // Import the required components from the Lit Library 
 import { LitElement, html, css } from '../scripts/lit/lit-core.min.js';
 
 // Import component styles
-import { onOffSwitchStyles, sharedStyles, actionButtonStyles, patternsListStyles, patternLinkStyles } from "./styles.js";
+import { onOffSwitchStyles, sharedStyles, actionButtonStyles, patternsListStyles, patternLinkStyles, colorSwatchStyles } from "./styles.js";
 
 /**
  * The object to access the API functions of the browser.
@@ -26,7 +32,8 @@ const activationState = Object.freeze({
 });
 
 // Add an event handler that processes incoming messages.
-// Expected messages to the popup are the results of the pattern detection from the content script.
+// Expected messages to the popup are the combined results of the pattern detection in all frames of a tab
+// from the background script.
 brw.runtime.onMessage.addListener(
     function (message, sender, sendResponse) {
         // Pass the message to the corresponding method of the `ExtensionPopup` component.
@@ -44,6 +51,15 @@ async function getCurrentTab() {
     return (await brw.tabs.query({ active: true, currentWindow: true }))[0];
 }
 
+/**
+ * Formats a confidence score between `0` and `1` as a rounded percentage for display.
+ * @param {number} score The confidence score.
+ * @returns {string} The percentage without the percent sign, e.g. `"90"`.
+ */
+function formatScore(score) {
+    return Math.round(score * 100).toString();
+}
+
 /**
  * Lit component for the entire popup.
  * Uses all other Lit components defined below.
@@ -61,14 +77,22 @@ export class ExtensionPopup extends LitElement {
         // Will only be changed after a new activation state is sent to the background script and the page is refreshed.
         initActivation: { type: Number },
         // Variable for the results of the pattern detection from the content script.
-        results: { type: Object }
+        results: { type: Object },
+        // Variable for the steps of the checkout in the current tab from the background script.
+        checkoutFlow: { type: Array },
+        // Variable for the class names of the patterns that the user has disabled.
+        disabledPatterns: { type: Array },
+        // Variable for the highlight styles that the user has set for the patterns.
+        patternStyles: { type: Object },
+        // Variable for the persistent site rule that determines the activation state of the current tab, if there is one.
+        siteRule: { type: Object }
     };
 
     constructor() {
         super();
         // Check if the pattern configuration is valid.
         if (!constants.patternConfigIsValid) {
-            // If the configuration is not valid, the content script does not start the pattern highlighting
+            // If no pattern of the configuration is valid, the content script does not start the pattern highlighting
             // and the extension is permanently disabled. Therefore set the status to permanently off.
             this.activation = activationState.PermanentlyOff;
         } else {
@@ -79,6 +103,14 @@ export class ExtensionPopup extends LitElement {
         this.initActivation = this.activation;
         // Set the results initially to an empty dictionary. The true results will be loaded later.
         this.results = {};
+        // Set the steps of the checkout initially to an empty array. The true steps will be loaded later.
+        this.checkoutFlow = [];
+        // Set the disabled patterns initially to the default value. The stored value will be loaded later.
+        this.disabledPatterns = settings.defaultSettings.disabledPatterns;
+        // Set the highlight styles initially to the default value. The stored value will be loaded later.
+        this.patternStyles = settings.defaultSettings.patternStyles;
+        // Set the site rule initially to none. The true rule will be loaded later.
+        this.siteRule = null;
     }
 
     /**
@@ -88,12 +120,17 @@ export class ExtensionPopup extends LitElement {
      * @param {function} sendResponse Function to send a reply.
      */
     async handleMessage(message, sender, sendResponse) {
-        // Check if the message contains results from the pattern detection.
-        if ("countVisible" in message) {
-            // Check if the message was sent by the active tab from the current window.
-            if (sender.tab.active && (await getCurrentTab()).windowId === sender.tab.windowId) {
+        // Check if the message contains the combined results from the pattern detection of a tab.
+        if ("tabResults" in message) {
+            // Check if the results belong to the tab in which the popup was opened.
+            if ((await getCurrentTab()).id === message.tabId) {
                 // Set the `results` property of the popup to the data from the message.
-                this.results = message;
+                this.results = message.tabResults;
+            }
+        } else if ("checkoutFlow" in message) {
+            // The message contains the steps of the checkout of a tab.
+            if ((await getCurrentTab()).id === message.tabId) {
+                this.checkoutFlow = message.checkoutFlow;
             }
         }
     }
@@ -105,6 +142,10 @@ export class ExtensionPopup extends LitElement {
      * Since asynchronous methods are used for this, this is not done in the constructor.
      */
     async firstUpdated() {
+        // Load the patterns that the user has disabled, which are also listed if the extension is not active.
+        this.disabledPatterns = await settings.getSetting("disabledPatterns");
+        // Load the highlight styles of the patterns, which are shown as color swatches in the lists.
+        this.patternStyles = await settings.getSetting("patternStyles");
         // Check if the activation state has already been set as permanently disabled
         // due to an invalid configuration.
         if (this.activation === activationState.PermanentlyOff) {
@@ -118,25 +159,19 @@ export class ExtensionPopup extends LitElement {
         if (currentTab.url.toLowerCase().startsWith("http://") || currentTab.url.toLowerCase().startsWith("https://")) {
             // Load the activation state.
             let currentTabActivation = await brw.runtime.sendMessage({ "action": "getActivationState", "tabId": currentTab.id });
+            // Keep the site rule that determines the activation state, if there is one.
+            this.siteRule = currentTabActivation.siteRule;
             // Only do more, if the extension is activated.
             if (currentTabActivation.isEnabled) {
                 // Set the activation state to on.
                 this.activation = activationState.On;
 
+                // Load the combined results of the pattern detection in all frames of the tab from the background script.
                 // In case the popup was opened before the web page was fully loaded in the tab,
-                // the request of the results fails because the content script cannot respond yet.
-                // Therefore, the request is repeated until it is successful.
-                while (true) {
-                    try {
-                        // Load the results of the pattern detection.
-                        this.results = await brw.tabs.sendMessage(currentTab.id, { action: "getPatternCount" });
-                        // Break out of the infinite loop if the request did not throw an error.
-                        break;
-                    } catch (error) {
-                        // Wait for 250 milliseconds.
-                        await new Promise(resolve => { setTimeout(resolve, 250) });
-                    }
-                }
+                // the results are empty. The background script sends the results as soon as they are available.
+                this.results = await brw.runtime.sendMessage({ "action": "getTabResults", "tabId": currentTab.id });
+                // Load the steps of the checkout in the tab from the background script.
+                this.checkoutFlow = await brw.runtime.sendMessage({ "action": "getCheckoutFlow", "tabId": currentTab.id });
             }
         } else {
             // If the extension's content script is not injected, set the activation state to permanently off,
@@ -154,12 +189,18 @@ export class ExtensionPopup extends LitElement {
     render() {
         return html`
             <popup-header></popup-header>
-            <on-off-switch .activation=${this.activation} .app=${this}></on-off-switch>
+            <on-off-switch .activation=${this.activation} .siteRule=${this.siteRule} .app=${this}></on-off-switch>
+            <site-rule-setting .activation=${this.initActivation} .siteRule=${this.siteRule} .app=${this}></site-rule-setting>
             <refresh-button .hide=${this.activation === this.initActivation} .app=${this}></refresh-button>
             <redo-button .activation=${this.initActivation}></redo-button>
-            <found-patterns-list .activation=${this.initActivation} .results=${this.results}></found-patterns-list>
+            <page-language-info .activation=${this.initActivation} .results=${this.results}></page-language-info>
+            <found-patterns-list .activation=${this.initActivation} .results=${this.results} .patternStyles=${this.patternStyles}></found-patterns-list>
             <show-pattern-button .activation=${this.initActivation} .results=${this.results}></show-pattern-button>
-            <supported-patterns-list></supported-patterns-list>
+            <activity-notifications-list .activation=${this.initActivation} .results=${this.results} .disabledPatterns=${this.disabledPatterns}></activity-notifications-list>
+            <checkout-flow-list .activation=${this.initActivation} .steps=${this.checkoutFlow} .disabledPatterns=${this.disabledPatterns}></checkout-flow-list>
+            <confidence-threshold-setting .activation=${this.initActivation}></confidence-threshold-setting>
+            <highlight-mode-setting .activation=${this.initActivation}></highlight-mode-setting>
+            <supported-patterns-list .disabledPatterns=${this.disabledPatterns} .patternStyles=${this.patternStyles} .app=${this}></supported-patterns-list>
             <popup-footer></popup-footer>
         `;
     }
@@ -179,6 +220,11 @@ export class PopupHeader extends LitElement {
             h3 {
                 color: red;
             }
+
+            .config-errors {
+                color: red;
+                font-size: 0.9em;
+            }
         `
     ];
 
@@ -187,10 +233,20 @@ export class PopupHeader extends LitElement {
      * @returns {html} HTML of the component
      */
     render() {
+        // The patterns that have been rejected due to an invalid configuration.
+        // The other patterns are highlighted nevertheless.
+        const configErrors = constants.getPatternConfigErrors();
         return html`
         <h1>${brw.i18n.getMessage("extName")}</h1>
         ${!constants.patternConfigIsValid ?
                 html`<h3>${brw.i18n.getMessage("errorInvalidConfig")}<h3>` : html``}
+        ${configErrors.length > 0 ?
+                html`<div class="config-errors">
+                    <p>${brw.i18n.getMessage("headingRejectedPatterns")}</p>
+                    <ul>
+                        ${configErrors.map(error => html`<li>${constants.formatPatternConfigError(error)}</li>`)}
+                    </ul>
+                </div>` : html``}
       `;
     }
 }
@@ -206,6 +262,8 @@ export class OnOffSwitch extends LitElement {
     static properties = {
         // Variable for the activation state of the component.
         activation: { type: Number },
+        // Variable for the site rule that determines the activation state, if there is one.
+        siteRule: { type: Object },
         // Variable for the reference to the parent component.
         app: { type: Object }
     };
@@ -218,10 +276,11 @@ export class OnOffSwitch extends LitElement {
 
     /**
      * Function that handles a change of the on/off switch value.
+     * The switch has no effect if a site rule determines the activation state.
      * @param {Event} event
      */
     async changeActivation(event) {
-        if (this.activation !== activationState.PermanentlyOff) {
+        if (this.activation !== activationState.PermanentlyOff && !this.siteRule) {
             if (this.activation === activationState.Off) {
                 this.activation = activationState.On;
             } else {
@@ -241,7 +300,7 @@ export class OnOffSwitch extends LitElement {
             <input type="checkbox" id="main-onoffswitch" tabindex="0"
                 @change=${this.changeActivation}
                 .checked=${this.activation === activationState.On}
-                .disabled=${this.activation === activationState.PermanentlyOff} />
+                .disabled=${this.activation === activationState.PermanentlyOff || !!this.siteRule} />
             <label for="main-onoffswitch">
                 <span class="onoffswitch-inner"></span>
                 <span class="onoffswitch-switch"></span>
@@ -253,6 +312,98 @@ export class OnOffSwitch extends LitElement {
 // Define a custom element for the component so that it can be used in the HTML DOM.
 customElements.define("on-off-switch", OnOffSwitch);
 
+/**
+ * Lit component for the persistent rule for the site of the current tab,
+ * with which the extension is always or never activated on the site.
+ * @extends LitElement
+ */
+export class SiteRuleSetting extends LitElement {
+    // Reactive properties
+    static properties = {
+        // Variable for the activation state of the component.
+        activation: { type: Number },
+        // Variable for the site rule that determines the activation state, if there is one.
+        siteRule: { type: Object },
+        // Variable for the reference to the parent component.
+        app: { type: Object },
+        // Variable for the host name of the page in the current tab.
+        _host: { type: String, state: true },
+        // Variable for the mode of the rule for exactly this host, or `"default"` if there is none.
+        _mode: { type: String, state: true }
+    };
+
+    // CSS styles for the HTML elements in the component.
+    static styles = [
+        sharedStyles,
+        css`
+            p {
+                font-size: smaller;
+            }
+        `
+    ];
+
+    constructor() {
+        super();
+        this._host = "";
+        this._mode = "default";
+    }
+
+    /**
+     * From the Lit documentation (https://lit.dev/docs/components/lifecycle/):
+     * "Called after the element's DOM has been updated the first time, immediately before `updated()` is called.".
+     * Used here to load the rule for the host of the current tab.
+     */
+    async firstUpdated() {
+        let currentTab = await getCurrentTab();
+        this._host = currentTab.url ? new URL(currentTab.url).hostname : "";
+        this._mode = (await settings.getSetting("siteRules")).find(rule => rule.pattern === this._host)?.mode ?? "default";
+    }
+
+    /**
+     * Function that stores the selected rule for the host and updates the activation state of the popup accordingly.
+     * The new state applies to the page after it has been reloaded (see `RefreshButton`).
+     * @param {Event} event
+     */
+    async changeMode(event) {
+        this._mode = event.target.value;
+        // Replace the rule for exactly this host, or only remove it if the default should be used.
+        let siteRules = (await settings.getSetting("siteRules")).filter(rule => rule.pattern !== this._host);
+        if (this._mode !== "default") {
+            siteRules.push({ pattern: this._host, mode: this._mode });
+        }
+        await settings.setSetting("siteRules", siteRules);
+        // Load the resulting activation state, which may also be determined by another rule.
+        let currentTabActivation = await brw.runtime.sendMessage({ "action": "getActivationState", "tabId": (await getCurrentTab()).id });
+        this.app.siteRule = currentTabActivation.siteRule;
+        this.app.activation = currentTabActivation.isEnabled ? activationState.On : activationState.Off;
+    }
+
+    /**
+     * Render the HTML of the component.
+     * @returns {html} HTML of the component
+     */
+    render() {
+        // Return an empty string if the extension cannot be activated in the tab.
+        if (this.activation === activationState.PermanentlyOff || !this._host) {
+            return html``;
+        }
+        return html`
+        <div>
+            <label for="site-rule">${brw.i18n.getMessage("textSiteRule", [this._host])}</label>
+            <select id="site-rule" @change=${this.changeMode}>
+                <option value="default" ?selected=${this._mode === "default"}>${brw.i18n.getMessage("textSiteRuleDefault")}</option>
+                <option value="allow" ?selected=${this._mode === "allow"}>${brw.i18n.getMessage("textSiteRuleAllow")}</option>
+                <option value="block" ?selected=${this._mode === "block"}>${brw.i18n.getMessage("textSiteRuleBlock")}</option>
+            </select>
+            ${this.siteRule && this.siteRule.pattern !== this._host ?
+                html`<p>${brw.i18n.getMessage("textSiteRuleApplied", [this.siteRule.pattern])}</p>` : html``}
+        </div>
+      `;
+    }
+}
+// Define a custom element for the component so that it can be used in the HTML DOM.
+customElements.define("site-rule-setting", SiteRuleSetting);
+
 /**
  * Lit component for the refresh button of the popup.
  * @extends LitElement
@@ -347,6 +498,57 @@ export class RedoButton extends LitElement {
 // Define a custom element for the component so that it can be used in the HTML DOM.
 customElements.define("redo-button", RedoButton);
 
+/**
+ * Lit component for the language of the page whose detection functions were run.
+ * A warning is shown if there are no detection functions for the language.
+ * @extends LitElement
+ */
+export class PageLanguageInfo extends LitElement {
+    // Reactive properties
+    static properties = {
+        // Variable for the activation state of the component.
+        activation: { type: Number },
+        // Variable for the results of the pattern detection from the content script.
+        results: { type: Object }
+    };
+
+    // CSS styles for the HTML elements in the component.
+    static styles = [
+        sharedStyles,
+        css`
+            .warning {
+                color: red;
+            }
+        `
+    ];
+
+    /**
+     * Render the HTML of the component.
+     * @returns {html} HTML of the component
+     */
+    render() {
+        // Return an empty string if the component is not activated or the results have not been loaded yet.
+        if (this.activation !== activationState.On || !this.results.pageLanguage) {
+            return html``;
+        }
+        const { language, source } = this.results.pageLanguage;
+        if (!language) {
+            return html`<p>${brw.i18n.getMessage("textPageLanguageUnknown")}</p>`;
+        }
+        // Display the name of the language in the language of the browser, if the browser knows the name.
+        const languageName = new Intl.DisplayNames([brw.i18n.getUILanguage()], { type: "language", fallback: "code" }).of(language);
+        return html`
+        <p>
+            ${brw.i18n.getMessage(source === "text" ? "textPageLanguageText" : "textPageLanguageHtml", [languageName, language])}
+            ${!constants.languageIsSupported(language) ?
+                html`<br><span class="warning">${brw.i18n.getMessage("textPageLanguageUnsupported")}</span>` : html``}
+        </p>
+      `;
+    }
+}
+// Define a custom element for the component so that it can be used in the HTML DOM.
+customElements.define("page-language-info", PageLanguageInfo);
+
 /**
  * Lit component for the list of the detected patterns in the popup.
  * @extends LitElement
@@ -357,14 +559,17 @@ export class FoundPatternsList extends LitElement {
         // Variable for the activation state of the component.
         activation: { type: Number },
         // Variable for the results of the pattern detection from the content script.
-        results: { type: Object }
+        results: { type: Object },
+        // Variable for the highlight styles that the user has set for the patterns.
+        patternStyles: { type: Object }
     };
 
     // CSS styles for the HTML elements in the component.
     static styles = [
         sharedStyles,
         patternsListStyles,
-        patternLinkStyles
+        patternLinkStyles,
+        colorSwatchStyles
     ];
 
     /**
@@ -382,13 +587,20 @@ export class FoundPatternsList extends LitElement {
             <h2 style="color: ${this.results.countVisible ? "red" : "green"}">${this.results.countVisible}</h2>
             <ul>
                 ${this.results.patterns?.map((pattern) => {
-            let currentPatternInfo = constants.patternConfig.patterns.find(p => p.name === pattern.name);
+            // The pattern may have been renamed or removed in the meantime, e.g. a custom pattern.
+            // In this case, the pattern is listed without its explanation and link.
+            let currentPatternInfo = constants.patternConfig.patterns.find(p => p.className === pattern.className);
             if (pattern.elementsVisible.length === 0) {
                 return html``;
             }
+            // Determine the highest confidence score of the visible elements of the pattern.
+            let maxScore = Math.max(...pattern.elementsVisible.map(elem => elem.score));
             return html`
-                    <li title="${currentPatternInfo.info}">
-                        <a href="${currentPatternInfo.infoUrl}" target="_blank">${pattern.name}</a>: ${pattern.elementsVisible.length}
+                    <li title="${currentPatternInfo?.info ?? ""}">
+                        <span class="color-swatch"
+                            style="${constants.getHighlightSwatchStyle(currentPatternInfo ? constants.getPatternHighlightStyle(currentPatternInfo, this.patternStyles) : null)}"></span>
+                        ${currentPatternInfo ? html`<a href="${currentPatternInfo.infoUrl}" target="_blank">${pattern.name}</a>` : pattern.name}: ${pattern.elementsVisible.length}
+                        (${brw.i18n.getMessage("textMaxConfidence", [formatScore(maxScore)])})
                     </li>`;
         })}
             </ul>
@@ -399,6 +611,137 @@ export class FoundPatternsList extends LitElement {
 // Define a custom element for the component so that it can be used in the HTML DOM.
 customElements.define("found-patterns-list", FoundPatternsList);
 
+/**
+ * Lit component for the list of activity notifications that have appeared during the visit of the page.
+ * The notifications are listed even if they are no longer on the page.
+ * @extends LitElement
+ */
+export class ActivityNotificationsList extends LitElement {
+    // Reactive properties
+    static properties = {
+        // Variable for the activation state of the component.
+        activation: { type: Number },
+        // Variable for the results of the pattern detection from the content script.
+        results: { type: Object },
+        // Variable for the class names of the patterns that the user has disabled.
+        disabledPatterns: { type: Array }
+    };
+
+    // CSS styles for the HTML elements in the component.
+    static styles = [
+        sharedStyles,
+        patternsListStyles,
+        patternLinkStyles,
+        css`
+            q {
+                display: block;
+                font-size: smaller;
+                overflow-wrap: anywhere;
+            }
+        `
+    ];
+
+    /**
+     * Render the HTML of the component.
+     * @returns {html} HTML of the component
+     */
+    render() {
+        // Return an empty string if the component is not activated, if no notifications have appeared
+        // or if the user has disabled the pattern.
+        if (this.activation !== activationState.On || !this.results.activityNotifications?.length ||
+            this.disabledPatterns.includes(constants.activityNotificationClassName)) {
+            return html``;
+        }
+        let patternInfo = constants.patternConfig.patterns.find(p => p.className === constants.activityNotificationClassName);
+        return html`
+        <div>
+            <h2>${brw.i18n.getMessage("headingActivityNotifications")}</h2>
+            <ul>
+                ${this.results.activityNotifications.map((notification) => html`
+                    <li title="${patternInfo.info}">
+                        <a href="${patternInfo.infoUrl}" target="_blank">${patternInfo.name}</a>:
+                        ${brw.i18n.getMessage("textActivityNotificationAppearances", [notification.count.toString(), new Date(notification.lastSeen).toLocaleTimeString()])}
+                        ${notification.texts.map(text => html`<q>${text}</q>`)}
+                    </li>`)}
+            </ul>
+        </div>
+      `;
+    }
+}
+// Define a custom element for the component so that it can be used in the HTML DOM.
+customElements.define("activity-notifications-list", ActivityNotificationsList);
+
+/**
+ * Lit component for the step-by-step breakdown of the costs in the checkout of the current tab.
+ * Fees that were not shown in the previous steps are marked as hidden costs.
+ * @extends LitElement
+ */
+export class CheckoutFlowList extends LitElement {
+    // Reactive properties
+    static properties = {
+        // Variable for the activation state of the component.
+        activation: { type: Number },
+        // Variable for the steps of the checkout in the current tab.
+        steps: { type: Array },
+        // Variable for the class names of the patterns that the user has disabled.
+        disabledPatterns: { type: Array }
+    };
+
+    // CSS styles for the HTML elements in the component.
+    static styles = [
+        sharedStyles,
+        patternsListStyles,
+        patternLinkStyles,
+        css`
+            .hidden-cost {
+                color: red;
+                font-weight: bold;
+            }
+        `
+    ];
+
+    /**
+     * Render the HTML of the component.
+     * @returns {html} HTML of the component
+     */
+    render() {
+        // Return an empty string if the component is not activated, if the checkout has less than two steps
+        // or if the user has disabled the hidden costs pattern.
+        if (this.activation !== activationState.On || !(this.steps?.length >= 2) || this.disabledPatterns.includes("hidden-costs")) {
+            return html``;
+        }
+        let patternInfo = constants.patternConfig.patterns.find(p => p.className === "hidden-costs");
+        // Determine the fees that were hidden in the previous steps.
+        let hiddenCosts = checkout.findHiddenCosts(this.steps);
+        // Format an amount in the currency of a line item.
+        const format = item => item.value.toLocaleString(undefined, { style: "currency", currency: item.currency });
+        return html`
+        <div>
+            <h2>${brw.i18n.getMessage("headingCheckoutFlow")}</h2>
+            ${hiddenCosts.length > 0 ? html`
+                <p title="${patternInfo.info}">
+                    <a href="${patternInfo.infoUrl}" target="_blank">${patternInfo.name}</a>: ${hiddenCosts.length}
+                </p>` : html``}
+            <ol>
+                ${this.steps.map((step, idx) => html`
+                    <li title="${step.url}">
+                        ${step.title || new URL(step.url).pathname}
+                        ${step.total ? html`: <b>${format(step.total)}</b>` : html``}
+                        <ul>
+                            ${step.fees.map(fee => html`
+                                <li class="${hiddenCosts.some(hiddenCost => hiddenCost.step === idx && hiddenCost.fee === fee) ? "hidden-cost" : ""}">
+                                    ${fee.label}: ${format(fee)}
+                                </li>`)}
+                        </ul>
+                    </li>`)}
+            </ol>
+        </div>
+      `;
+    }
+}
+// Define a custom element for the component so that it can be used in the HTML DOM.
+customElements.define("checkout-flow-list", CheckoutFlowList);
+
 /**
  * Lit component for the buttons used to show individual found patterns on the web page.
  * @extends LitElement
@@ -410,8 +753,8 @@ export class ShowPatternButtons extends LitElement {
         activation: { type: Number },
         // Variable for the results of the pattern detection from the content script.
         results: { type: Object },
-        // Variable for the pattern highlighter ID of the currently selected pattern.
-        _currentPatternId: { type: Number, state: true },
+        // Variable for the ID of the currently selected pattern, composed of the frame ID and the pattern highlighter ID.
+        _currentPatternId: { type: String, state: true },
         // Variable for the list of visible detected patterns.
         _visiblePatterns: { type: Array, state: true }
     };
@@ -436,6 +779,11 @@ export class ShowPatternButtons extends LitElement {
                 width: 110px;
                 margin: 0 15px;
             }
+
+            .explanation {
+                font-size: smaller;
+                overflow-wrap: anywhere;
+            }
         `
     ];
 
@@ -453,8 +801,23 @@ export class ShowPatternButtons extends LitElement {
                 if (pattern.elementsVisible.length > 0) {
                     // Iterate through all visible elements.
                     for (const elem of pattern.elementsVisible) {
-                        // Add the id of the element and the name of the pattern to the visible patterns.
-                        this._visiblePatterns.push({ "phid": elem, "patternName": pattern.name });
+                        // The pattern highlighter ID is only unique within a frame, therefore both IDs are combined.
+                        let id = `${elem.frameId}:${elem.phid}`;
+                        // An element that represents several patterns is only added once,
+                        // therefore check if the element has already been added for another pattern.
+                        let visiblePattern = this._visiblePatterns.find(p => p.id === id);
+                        if (!visiblePattern) {
+                            // Add the IDs of the element and its frame to the visible patterns.
+                            visiblePattern = {
+                                "id": id,
+                                "frameId": elem.frameId,
+                                "phid": elem.phid,
+                                "patterns": []
+                            };
+                            this._visiblePatterns.push(visiblePattern);
+                        }
+                        // Add the name and the class name of the pattern, the confidence score and the evidence to the element.
+                        visiblePattern.patterns.push({ "name": pattern.name, "className": pattern.className, "score": elem.score, "evidence": elem.evidence });
                     }
                 }
             }
@@ -462,14 +825,14 @@ export class ShowPatternButtons extends LitElement {
     }
 
     /**
-     * Get the index of an element in the `_visiblePatterns` array by its pattern highlighter ID.
-     * @param {number} phid The pattern highlighter ID.
-     * @returns {number|-1} The index of the element with the `phid` in the `_visiblePatterns` array
+     * Get the index of an element in the `_visiblePatterns` array by its ID.
+     * @param {string} id The ID composed of the frame ID and the pattern highlighter ID.
+     * @returns {number|-1} The index of the element with the `id` in the `_visiblePatterns` array
      * or `-1` if the element is not in the array.
      */
-    getIndexOfPatternId(phid) {
-        // Create an array of IDs from the `_visiblePatterns` and get the index of the passed `phid`.
-        return this._visiblePatterns.map(pattern => pattern.phid).indexOf(phid);
+    getIndexOfPatternId(id) {
+        // Create an array of IDs from the `_visiblePatterns` and get the index of the passed `id`.
+        return this._visiblePatterns.map(pattern => pattern.id).indexOf(id);
     }
 
     /**
@@ -513,9 +876,13 @@ export class ShowPatternButtons extends LitElement {
             idx = this._visiblePatterns.length - 1;
         }
         // Set the ID of the currently shown element to the ID of the element at the new index.
-        this._currentPatternId = this._visiblePatterns[idx].phid;
-        // Send a message to the content script to show the element with the ID of `_currentPatternId`.
-        await brw.tabs.sendMessage((await getCurrentTab()).id, { "showElement": this._currentPatternId });
+        this._currentPatternId = this._visiblePatterns[idx].id;
+        // Send a message to the content script of the element's frame to show the element.
+        await brw.tabs.sendMessage(
+            (await getCurrentTab()).id,
+            { "showElement": this._visiblePatterns[idx].phid },
+            { frameId: this._visiblePatterns[idx].frameId }
+        );
     }
 
     /**
@@ -538,6 +905,7 @@ export class ShowPatternButtons extends LitElement {
 
     /**
      * Function to generate the HTML text for the currently shown pattern.
+     * Lists all patterns that the element represents.
      * @returns {html} HTML of the text for the currently shown pattern element
      */
     getCurrentPatternText() {
@@ -547,18 +915,52 @@ export class ShowPatternButtons extends LitElement {
             let idx = this.getIndexOfPatternId(this._currentPatternId);
             // Only generate a text when the element is still present in the array.
             if (idx !== -1) {
-                // Get information about the pattern type from the configuration constant of the extension.
-                let currentPatternInfo = constants.patternConfig.patterns.find(p => p.name === this._visiblePatterns[idx].patternName);
-                // Generate the HTML text.
-                return html`
-                    <h3 title="${currentPatternInfo.info}">
-                        <a href="${currentPatternInfo.infoUrl}" target="_blank">${this._visiblePatterns[idx].patternName}</a>
-                    </h3>`;
+                // Generate the HTML text for each pattern the element represents.
+                return this._visiblePatterns[idx].patterns.map((pattern) => {
+                    // Get information about the pattern type from the configuration constant of the extension.
+                    // The pattern may have been renamed or removed in the meantime, e.g. a custom pattern.
+                    // In this case, the pattern is shown without its explanation and link.
+                    let currentPatternInfo = constants.patternConfig.patterns.find(p => p.className === pattern.className);
+                    // Generate the HTML text.
+                    return html`
+                        <h3 title="${currentPatternInfo?.info ?? ""}">
+                            ${currentPatternInfo ? html`<a href="${currentPatternInfo.infoUrl}" target="_blank">${pattern.name}</a>` : pattern.name}
+                        </h3>
+                        <p>${brw.i18n.getMessage("textConfidence", [formatScore(pattern.score)])}</p>
+                        ${this.getExplanationText(pattern.evidence)}`;
+                });
             }
         }
         return html``;
     }
 
+    /**
+     * Function to generate the HTML text that explains why an element was detected as a pattern.
+     * @param {Evidence} [evidence] The evidence of the detection.
+     * @returns {html} HTML of the explanation
+     */
+    getExplanationText(evidence) {
+        // Only generate a text when the evidence is available.
+        if (!evidence) {
+            return html``;
+        }
+        // Shorten long matched snippets so that the popup does not become too large.
+        let snippet = evidence.match ?? "";
+        if (snippet.length > 100) {
+            snippet = snippet.slice(0, 100) + "…";
+        }
+        return html`
+            <p class="explanation">
+                ${brw.i18n.getMessage("textDetectedBy")} <code>${evidence.detectionFunction}</code>
+                ${evidence.language ? html`(${evidence.language.toUpperCase()})` : html``}
+                ${evidence.rule ? html`<br>${brw.i18n.getMessage("textRule")} <code>${evidence.rule}</code>` : html``}
+                ${snippet ? html`<br><q>${snippet}</q>` : html``}
+                ${evidence.note ? html`<br>${evidence.note}` : html``}
+                ${evidence.history ? html`<br>${brw.i18n.getMessage("textObservedValues")}
+                    ${evidence.history.map(entry => `${entry.value} (${new Date(entry.time).toLocaleDateString()})`).join(" → ")}` : html``}
+            </p>`;
+    }
+
     /**
      * Function to generate the HTML of the number of the currently shown pattern element
      * @returns {html} HTML of the number (`index + 1`) of the currently shown pattern element
@@ -614,16 +1016,172 @@ export class ShowPatternButtons extends LitElement {
 // Define a custom element for the component so that it can be used in the HTML DOM.
 customElements.define("show-pattern-button", ShowPatternButtons);
 
+/**
+ * Lit component for the setting of the minimum confidence score of detections.
+ * @extends LitElement
+ */
+export class ConfidenceThresholdSetting extends LitElement {
+    // Reactive properties
+    static properties = {
+        // Variable for the activation state of the component.
+        activation: { type: Number },
+        // Variable for the currently set minimum confidence score.
+        _threshold: { type: Number, state: true }
+    };
+
+    // CSS styles for the HTML elements in the component.
+    static styles = [
+        sharedStyles,
+        css`
+            input {
+                width: 80%;
+            }
+        `
+    ];
+
+    constructor() {
+        super();
+        // Set the threshold initially to the default value. The stored value will be loaded later.
+        this._threshold = settings.defaultSettings.confidenceThreshold;
+    }
+
+    /**
+     * From the Lit documentation (https://lit.dev/docs/components/lifecycle/):
+     * "Called after the element's DOM has been updated the first time, immediately before `updated()` is called.".
+     * Used here to load the stored minimum confidence score.
+     */
+    async firstUpdated() {
+        this._threshold = await settings.getSetting("confidenceThreshold");
+    }
+
+    /**
+     * Function that updates the displayed value while the slider is moved.
+     * @param {Event} event
+     */
+    updateThreshold(event) {
+        this._threshold = event.target.value / 100;
+    }
+
+    /**
+     * Function that stores the new value when the slider is released.
+     * The content scripts react to the change of the setting and repeat the pattern highlighting.
+     * @param {Event} event
+     */
+    async changeThreshold(event) {
+        this._threshold = event.target.value / 100;
+        await settings.setSetting("confidenceThreshold", this._threshold);
+    }
+
+    /**
+     * Render the HTML of the component.
+     * @returns {html} HTML of the component
+     */
+    render() {
+        // Return an empty string if the component is not activated.
+        if (this.activation !== activationState.On) {
+            return html``;
+        }
+        return html`
+        <div title="${brw.i18n.getMessage("textConfidenceThresholdInfo")}">
+            <h2>${brw.i18n.getMessage("headingConfidenceThreshold")}</h2>
+            <input type="range" min="0" max="100" step="5"
+                .value=${formatScore(this._threshold)}
+                @input=${this.updateThreshold}
+                @change=${this.changeThreshold} />
+            <span>${formatScore(this._threshold)} %</span>
+        </div>
+      `;
+    }
+}
+// Define a custom element for the component so that it can be used in the HTML DOM.
+customElements.define("confidence-threshold-setting", ConfidenceThresholdSetting);
+
+/**
+ * Lit component for the setting whether detected elements are framed as a whole instead of highlighting the matched text.
+ * @extends LitElement
+ */
+export class HighlightModeSetting extends LitElement {
+    // Reactive properties
+    static properties = {
+        // Variable for the activation state of the component.
+        activation: { type: Number },
+        // Variable for the currently set highlighting mode.
+        _highlightMode: { type: String, state: true }
+    };
+
+    // CSS styles for the HTML elements in the component.
+    static styles = [
+        sharedStyles
+    ];
+
+    constructor() {
+        super();
+        // Set the mode initially to the default value. The stored value will be loaded later.
+        this._highlightMode = settings.defaultSettings.highlightMode;
+    }
+
+    /**
+     * From the Lit documentation (https://lit.dev/docs/components/lifecycle/):
+     * "Called after the element's DOM has been updated the first time, immediately before `updated()` is called.".
+     * Used here to load the stored highlighting mode.
+     */
+    async firstUpdated() {
+        this._highlightMode = await settings.getSetting("highlightMode");
+    }
+
+    /**
+     * Function that handles a change of the checkbox value and stores the new mode.
+     * The content scripts react to the change of the setting and renew the highlighting.
+     * @param {Event} event
+     */
+    async changeHighlightMode(event) {
+        this._highlightMode = event.target.checked ? "border" : "text";
+        await settings.setSetting("highlightMode", this._highlightMode);
+    }
+
+    /**
+     * Render the HTML of the component.
+     * @returns {html} HTML of the component
+     */
+    render() {
+        // Return an empty string if the component is not activated.
+        if (this.activation !== activationState.On) {
+            return html``;
+        }
+        return html`
+        <div>
+            <input type="checkbox" id="highlight-mode-border"
+                @change=${this.changeHighlightMode}
+                .checked=${this._highlightMode === "border"} />
+            <label for="highlight-mode-border">${brw.i18n.getMessage("textHighlightModeBorder")}</label>
+        </div>
+      `;
+    }
+}
+// Define a custom element for the component so that it can be used in the HTML DOM.
+customElements.define("highlight-mode-setting", HighlightModeSetting);
+
 /**
  * Lit component for the list of all supported patterns in the popup.
  * @extends LitElement
  */
 export class SupportedPatternsList extends LitElement {
+    // Reactive properties
+    static properties = {
+        // Variable for the class names of the patterns that the user has disabled.
+        disabledPatterns: { type: Array },
+        // Variable for the highlight styles that the user has set for the patterns.
+        patternStyles: { type: Object },
+        // Variable for the reference to the parent component.
+        app: { type: Object }
+    };
+
     // CSS styles for the HTML elements in the component.
     static styles = [
         sharedStyles,
         patternsListStyles,
         patternLinkStyles,
+        colorSwatchStyles,
         css`
             div {
                 margin: 2.5em 0 1em;
@@ -631,6 +1189,30 @@ export class SupportedPatternsList extends LitElement {
         `
     ];
 
+    /**
+     * Function that handles a change of the checkbox of a pattern and stores the disabled patterns.
+     * The content scripts react to the change of the setting and repeat the pattern highlighting.
+     * @param {object} pattern The pattern of the `patternConfig` whose checkbox was changed.
+     * @param {Event} event
+     */
+    async togglePattern(pattern, event) {
+        let disabledPatterns = this.disabledPatterns.filter(className => className !== pattern.className);
+        if (!event.target.checked) {
+            disabledPatterns.push(pattern.className);
+        }
+        this.app.disabledPatterns = disabledPatterns;
+        await settings.setSetting("disabledPatterns", disabledPatterns);
+    }
+
+    /**
+     * Function to open the options page, on which the custom patterns are defined.
+     * @param {Event} event
+     */
+    openOptions(event) {
+        event.preventDefault();
+        brw.runtime.openOptionsPage();
+    }
+
     /**
      * Render the HTML of the component.
      * @returns {html} HTML of the component
@@ -643,12 +1225,20 @@ export class SupportedPatternsList extends LitElement {
                 ${constants.patternConfig.patterns.map((pattern) =>
             html`
                     <li title="${pattern.info}">
+                        <input type="checkbox" title="${brw.i18n.getMessage("textPatternEnabled")}"
+                            .checked=${!this.disabledPatterns.includes(pattern.className)}
+                            @change=${(event) => this.togglePattern(pattern, event)} />
+                        <span class="color-swatch"
+                            style="${constants.getHighlightSwatchStyle(constants.getPatternHighlightStyle(pattern, this.patternStyles))}"></span>
                         <a href="${pattern.infoUrl}" target="_blank">
                             ${pattern.name} (${pattern.languages.map(l => l.toUpperCase()).join(", ")})
                         </a>
+                        ${pattern.custom ? html`– ${brw.i18n.getMessage("textCustomPattern")}` : html``}
+                        ${pattern.pack ? html`– ${brw.i18n.getMessage("textRulePackPattern", [pattern.pack.name, pattern.pack.version])}` : html``}
                     </li>`
         )}
             </ul>
+            <a href="#" @click=${this.openOptions}>${brw.i18n.getMessage("buttonEditCustomPatterns")}</a>
         </div>
       `;
     }
@@ -68,6 +68,16 @@ export const patternsListStyles = css`
     }
 `;
 
+export const colorSwatchStyles = css`
+    .color-swatch {
+        display: inline-block;
+        width: 0.8em;
+        height: 0.8em;
+        box-sizing: border-box;
+        vertical-align: middle;
+    }
+`;
+
 // On/Off Flipswitch from https://proto.io/freebies/onoff/
 export const onOffSwitchStyles = css`
     div {
@@ -0,0 +1,155 @@
+/**
+ * The object to access the API functions of the browser.
+ * @constant
+ * @type {{runtime: object}} BrowserAPI
+ */
+const brw = chrome;
+
+/**
+ * @typedef {object} LineItem
+ * @property {string} label - The label of the line item, e.g. "Shipping".
+ * @property {number} value - The amount of the line item.
+ * @property {string} currency - The ISO 4217 code of the currency.
+ * @property {("fee"|"total")} kind - Whether the line item is a fee or the total.
+ */
+
+/**
+ * @typedef {object} CheckoutStep
+ * @property {string} url - The URL of the page of the step, without query and fragment.
+ * @property {string} title - The title of the page of the step.
+ * @property {number} time - The timestamp of the last recording of the step in milliseconds.
+ * @property {(LineItem|null)} total - The total shown in the step, if present.
+ * @property {Array<LineItem>} fees - The fees shown in the step.
+ */
+
+/**
+ * The steps of the checkout in the current tab as they were loaded from the background script,
+ * i.e. the steps recorded on previous pages of the checkout.
+ * @type {Array<CheckoutStep>}
+ */
+let checkoutSteps = [];
+
+/**
+ * The total shown on the current page, with which the totals of the previous steps are compared
+ * (see `setCurrentTotal`). Is `null` if the page shows no total.
+ * @type {(LineItem|null)}
+ */
+let currentTotal = null;
+
+/**
+ * Returns the URL of the current page that identifies the step of the checkout.
+ * Query and fragment are omitted, since they often change within the same step.
+ * @returns {string} The URL of the current page without query and fragment.
+ */
+function getStepUrl() {
+    return location.origin + location.pathname;
+}
+
+/**
+ * Loads the steps of the checkout in the current tab from the background script.
+ * Must be called before the previous steps can be retrieved.
+ */
+export async function loadCheckoutFlow() {
+    checkoutSteps = await brw.runtime.sendMessage({ action: "getCheckoutFlow" }) ?? [];
+}
+
+/**
+ * Returns the steps of the checkout in the current tab that belong to other pages than the current one.
+ * @returns {Array<CheckoutStep>} The previous steps, sorted from first to last.
+ */
+export function getPreviousSteps() {
+    return checkoutSteps.filter(step => step.url !== getStepUrl());
+}
+
+/**
+ * Sets the total shown on the current page. Must be called before the hidden costs on the page are detected,
+ * since a fee is only hidden if the total has grown along with it (see `findHiddenCost`).
+ * @param {(LineItem|null)} total The total on the current page, or `null` if the page shows no total.
+ */
+export function setCurrentTotal(total) {
+    currentTotal = total;
+}
+
+/**
+ * Returns the total shown on the current page (see `setCurrentTotal`).
+ * @returns {(LineItem|null)} The total on the current page, or `null` if the page shows no total.
+ */
+export function getCurrentTotal() {
+    return currentTotal;
+}
+
+/**
+ * Sends the total and the fees shown on the current page as a step of the checkout to the background script,
+ * which follows the checkout in the tab across the pages.
+ * @param {({total: (LineItem|null), fees: Array<LineItem>}|null)} summary The total and the fees on the current page,
+ * or `null` if the page is not part of a checkout. In this case, the recorded checkout is ended.
+ */
+export async function recordCheckoutStep(summary) {
+    // Nothing has to be ended if no checkout has been recorded.
+    if (summary === null && checkoutSteps.length === 0) {
+        return;
+    }
+    const step = summary ? { url: getStepUrl(), title: document.title, time: Date.now(), ...summary } : null;
+    // Forget the loaded steps if the checkout has ended.
+    if (step === null) {
+        checkoutSteps = [];
+    }
+    await brw.runtime.sendMessage({ action: "recordCheckoutStep", step: step });
+}
+
+/**
+ * Normalizes the label of a line item, so that labels that differ only in case, punctuation or numbers are equal.
+ * @param {string} label The label of a line item.
+ * @returns {string} The normalized label.
+ */
+function normalizeLabel(label) {
+    return label.toLowerCase().replace(/[^\p{L}]+/gu, " ").trim();
+}
+
+/**
+ * Checks if a fee was hidden in the previous steps of the checkout, i.e. if it was not shown
+ * or was shown with a lower amount, although a total was already shown, and the total has grown since then.
+ * Fees that appear without a higher total, e.g. because they were already included in the total, are not hidden.
+ * @param {LineItem} fee The fee shown in a step of the checkout.
+ * @param {Array<CheckoutStep>} previousSteps The steps of the checkout before the step with the fee.
+ * @param {(LineItem|null)} total The total shown in the step with the fee.
+ * @returns {({reason: "new", previousTotal: LineItem}|{reason: "increased", previousValue: number, previousTotal: LineItem}|null)}
+ * The reason why the fee was hidden together with the last total shown before, or `null` if it was disclosed before.
+ */
+export function findHiddenCost(fee, previousSteps, total) {
+    // Only steps in which a total was shown are considered, since only there the costs seemed to be complete.
+    const stepsWithTotal = previousSteps.filter(step => step.total);
+    if (stepsWithTotal.length === 0 || fee.value <= 0) {
+        return null;
+    }
+    // The fee must have raised the total, i.e. the total must be higher than the last total shown before.
+    const previousTotal = stepsWithTotal.at(-1).total;
+    if (!total || total.currency !== fee.currency || previousTotal.currency !== total.currency || total.value <= previousTotal.value) {
+        return null;
+    }
+    // Collect the fees with the same label in the previous steps.
+    const previousFees = stepsWithTotal
+        .flatMap(step => step.fees)
+        .filter(previousFee => previousFee.currency === fee.currency && normalizeLabel(previousFee.label) === normalizeLabel(fee.label));
+    if (previousFees.length === 0) {
+        return { reason: "new", previousTotal: previousTotal };
+    }
+    // A fee that has grown compared to all previous steps was also not disclosed completely.
+    const previousValue = Math.max(...previousFees.map(previousFee => previousFee.value));
+    if (fee.value > previousValue) {
+        return { reason: "increased", previousValue: previousValue, previousTotal: previousTotal };
+    }
+    return null;
+}
+
+/**
+ * Finds the hidden fees in all steps of a checkout (see `findHiddenCost`).
+ * @param {Array<CheckoutStep>} steps The steps of the checkout, sorted from first to last.
+ * @returns {Array<{step: number, fee: LineItem, reason: string, previousValue?: number, previousTotal: LineItem}>}
+ * The hidden fees together with the index of the step in which they appeared.
+ */
+export function findHiddenCosts(steps) {
+    return steps.flatMap((step, idx) => step.fees
+        .map(fee => ({ step: idx, fee: fee, ...findHiddenCost(fee, steps.slice(0, idx), step.total) }))
+        .filter(hiddenCost => hiddenCost.reason));
+}
@@ -1,168 +1,1407 @@
+// Import the functions to access the observation history of previous visits from the module.
+import * as observationHistory from "./history.js";
+// Import the functions to compare the steps of a checkout from the module.
+import * as checkout from "./checkout.js";
+// Import the functions to access the patterns defined by the user from the module.
+import * as customRules from "./rules.js";
+// Import the functions to parse amounts and time spans from the module.
+import * as parsing from "./parsing.js";
+
+/**
+ * The object to access the API functions of the browser.
+ * @constant
+ * @type {{runtime: object, i18n: object}} BrowserAPI
+ */
+const brw = chrome;
+
+/**
+ * @typedef {object} DetectionResult
+ * @property {number} score - The confidence score of the detection between `0` (exclusive) and `1` (inclusive).
+ * @property {Evidence} [evidence] - Optional evidence for the detection.
+ */
+
+/**
+ * @typedef {object} Evidence
+ * @property {string} [match] - The matched substring.
+ * @property {string} [rule] - The name of the rule that fired.
+ * @property {string} [language] - The ISO 639-1 code of the language variant of the rule, if it is language-specific.
+ * @property {string} [detectionFunction] - The name of the detection function that fired.
+ * It is added automatically by the content script.
+ * @property {string} [note] - A localized explanation of the detection that is displayed in the popup.
+ * @property {{category: string, signature: string, value: any}} [observation] - A value that the content script
+ * records in the observation history of the site (see `history.js`), so that it can be compared on later visits.
+ * @property {Array<{time: number, value: number}>} [history] - The values observed for the element over time,
+ * which are displayed in the popup.
+ */
+
+/**
+ * Searches a text for matches of several rules and returns the detection result of the rule with the highest score.
+ * Used by the detection functions that are based on regular expressions.
+ * If the previous state of the text is given, only matches whose numbers have decreased since then are considered
+ * (see `findDecreasingMatch`).
+ * @param {string} text The text to be searched.
+ * @param {string} language The ISO 639-1 code of the language of the rules.
+ * @param {Array<{regex: RegExp, exclude?: RegExp, score: number, rule: string}>} rules The rules consisting of a regular expression,
+ * optionally a global regular expression for parts of the text to be ignored,
+ * the confidence score in case of a match and the name of the rule.
+ * @param {string} [textOld] The previous state of the text, if the numbers of the match have to decrease.
+ * @returns {(DetectionResult|false)} The detection result of the matching rule with the highest score,
+ * or `false` if no rule matches.
+ */
+function matchRules(text, language, rules, textOld) {
+    // Variable for the best detection result found so far.
+    let best = false;
+    // Iterate over all rules.
+    for (const rule of rules) {
+        // Remove the parts of the text that are ignored by the rule.
+        const searchText = rule.exclude ? text.replace(rule.exclude, "") : text;
+        // Search the text for a match of the regular expression of the rule.
+        // If the previous state of the text is given, the same must be done for it and the match must be decreasing.
+        const match = textOld === undefined ? rule.regex.exec(searchText)?.[0] :
+            findDecreasingMatch(searchText, rule.exclude ? textOld.replace(rule.exclude, "") : textOld, rule.regex);
+        // Keep the result if the rule matches and its score is higher than that of the previous best result.
+        if (match && (!best || rule.score > best.score)) {
+            best = {
+                score: rule.score,
+                evidence: { match: match, rule: rule.rule, language: language }
+            };
+        }
+    }
+    return best;
+}
+
+/**
+ * Converts the return value of a detection function into a uniform detection result.
+ * Detection functions may return `true` or `false`, a confidence score or a `DetectionResult` object.
+ * @param {(boolean|number|DetectionResult)} value The return value of a detection function.
+ * @returns {(DetectionResult|null)} The detection result or `null` if the pattern was not detected.
+ */
+export function normalizeDetectionResult(value) {
+    // The pattern was detected with full confidence.
+    if (value === true) {
+        return { score: 1 };
+    }
+    // The pattern was detected with the returned confidence score, which is limited to the range up to `1`.
+    if (typeof value === "number" && value > 0) {
+        return { score: Math.min(value, 1) };
+    }
+    // The pattern was detected with the score and evidence from the returned object.
+    if (value && typeof value === "object" && typeof value.score === "number" && value.score > 0) {
+        return { score: Math.min(value.score, 1), evidence: value.evidence };
+    }
+    // In all other cases, the pattern was not detected.
+    return null;
+}
+
+/**
+ * Searches a text for a match of a regular expression whose numbers have decreased compared to the previous state of the text,
+ * e.g. an actively running countdown.
+ * The matches in both states are paired by their index.
+ * @param {string} text The current state of the text.
+ * @param {string} textOld The previous state of the text.
+ * @param {RegExp} regex The regular expression to be matched. Must not be global.
+ * @returns {(string|null)} The decreasing match in the current state of the text, or `null` if there is none.
+ */
+function findDecreasingMatch(text, textOld, regex) {
+    // Matches should only be identified as decreasing if the text has changed.
+    if (text == textOld) {
+        return null;
+    }
+    // Search for all matches in the old and current state of the text.
+    const regexGlobal = new RegExp(regex.source, regex.flags + "g");
+    let matchesOld = textOld.match(regexGlobal);
+    let matchesNew = text.match(regexGlobal);
+
+    // If no matches were found in one of the two states of the texts or
+    // if the number of matches in the two states does not match,
+    // no decreasing match is found.
+    if (matchesNew == null || matchesOld == null || matchesNew.length != matchesOld.length) {
+        return null;
+    }
+
+    // Since it was ensured at the point that there are the same number of matches
+    // in both states of the text, it is initially assumed that the matches with the same index
+    // in both states belong to the same element, e.g. the same countdown.
+    for (let i = 0; i < matchesNew.length; i++) {
+        // Extract all contiguous numbers from the strings.
+        // Example: `"23:59:58"` -> `["23", "59", "58"]`.
+        let numbersNew = matchesNew[i].match(/\d+/gi);
+        let numbersOld = matchesOld[i].match(/\d+/gi);
+
+        // If the number of each number does not match,
+        // then the pair of matches does not belong together.
+        if (numbersNew.length != numbersOld.length) {
+            // Ignore this pair and examine at the next one.
+            continue;
+        }
+
+        // Iterate through all pairs of numbers in the strings.
+        for (let x = 0; x < numbersNew.length; x++) {
+            // Since countdowns should be detected that are running down,
+            // the numbers from left to right become smaller over time.
+            // When the numbers are iterated from left to right,
+            // at least one number in the current state of the text
+            // should be smaller than in the old state.
+            // If a number in the current state is larger before a number
+            // is smaller than in the previous state, it does not seem to be an elapsing countdown.
+            // Examples: current state - previous state -> result
+            //           23,30,40      - 23,30,39       -> is a countdown
+            //           23,30,00      - 23,29,59       -> is a countdown
+            //           23,30,40      - 23,31,20       -> is not a countdown
+            //           23,30,40      - 23,30,41       -> is not a countdown
+            //           23,30,40      - 23,30,40       -> is not a countdown
+            if (parseInt(numbersNew[x]) > parseInt(numbersOld[x])) {
+                // If the number in the current state is larger,
+                // break out of the loop and examine the next pair, if present.
+                // This case occurs only if the second if-clause did not occur and a countdown was returned.
+                break;
+            }
+            if (parseInt(numbersNew[x]) < parseInt(numbersOld[x])) {
+                // Return the match if a number has decreased.
+                return matchesNew[i];
+            }
+        }
+    }
+    // Return `null` if no decreasing match was found by the previous steps.
+    return null;
+}
+
+/**
+ * Computes a signature of an element that identifies it across page loads.
+ * The signature consists of the tag name, the classes (without the classes of the extension)
+ * and the text of the element, in which all numbers are replaced by `#`.
+ * @param {Node} node The DOM node for which the signature is computed.
+ * @returns {string} The signature of the element.
+ */
+function getElementSignature(node) {
+    // Sort the classes of the element, excluding the classes added by the extension.
+    const classes = [...node.classList].filter(c => !c.startsWith(extensionClassPrefix)).sort();
+    // Replace the numbers in the text, so that changing numbers such as the remaining time do not change the signature.
+    const text = node.innerText.replace(/\d+/g, "#").replace(/\s+/g, " ").trim().slice(0, 100);
+    return [node.tagName.toLowerCase(), ...classes].join(".") + "|" + text;
+}
+
+/**
+ * @typedef {object} PatternRule
+ * A pattern described declaratively in JSON, e.g. in `rules/builtin.json`,
+ * from which a pattern of the `patternConfig` is compiled (see `compilePatternRule`).
+ * @property {string} className - A valid CSS class name for the pattern, consisting only of letters, digits and hyphens.
+ * @property {string} [name] - The name of the pattern. Alternatively, `nameKey` must be specified.
+ * @property {string} [nameKey] - The key of the localized message with the name of the pattern.
+ * @property {string} [info] - A brief explanation of the pattern. Alternatively, `infoKey` must be specified.
+ * @property {string} [infoKey] - The key of the localized message with the explanation of the pattern.
+ * @property {string} [infoUrl] - The URL to the explanation of the pattern. Alternatively, `infoUrlKey` must be specified.
+ * @property {string} [infoUrlKey] - The key of the localized message with the URL to the explanation of the pattern.
+ * @property {string} [color] - The color in the form `#rrggbb` with which the pattern is highlighted on the page
+ * instead of the default highlighting.
+ * @property {boolean} [compareStates=false] - Whether the numbers of a match must have decreased
+ * compared to the previous state of the element, e.g. for running countdowns (see `findDecreasingMatch`).
+ * @property {{selector?: string, maxTextLength?: number}} [elementFilter] - Restricts the examined elements
+ * to those that match the CSS selector and whose text is not longer than the maximum length.
+ * @property {{category: string, value: ("deadline"|"count"), perPage?: boolean}} [observe] - A value of the match
+ * that is recorded in the observation history of the site (see `Evidence`). `"deadline"` is the timestamp
+ * at which the time in the match expires, `"count"` the first number in the match together with the path of the page.
+ * If `perPage` is `true`, the values are recorded separately for each page of the site.
+ * @property {Object.<string, Array<PatternRegexRule>>} languages - The rules of the pattern
+ * with the ISO 639-1 codes of their languages as keys. A detection function is compiled for each language.
+ */
+
+/**
+ * @typedef {object} PatternRegexRule
+ * @property {string} rule - The name of the rule.
+ * @property {string} regex - The source of the regular expression that is searched in the text of the element.
+ * It may contain the placeholders of the `regexPlaceholders` in `parsing.js`, e.g. `{{amount}}` for a monetary amount
+ * in any currency and number format or `{{timeUnit}}` for a unit of a time span in one of the supported languages.
+ * @property {string} [flags="i"] - The flags of the regular expressions of the rule. Must not contain `g` or `y`.
+ * @property {string} [exclude] - The source of a regular expression for parts of the text that are ignored,
+ * e.g. numbers that look like a countdown but are too long for one. It may also contain placeholders.
+ * @property {number} score - The confidence score between `0` (exclusive) and `1` (inclusive) in case of a match.
+ * @property {Array<string>} [examples] - Example texts that match the regular expression.
+ */
+
+/**
+ * @typedef {object} FieldError
+ * An invalid field of a pattern or pattern rule.
+ * @property {string} field - The path of the field, e.g. `languages.en[0].regex`. Is empty if the whole pattern is invalid.
+ * @property {("missing"|"type"|"value"|"duplicate"|"placeholder"|"syntax")} reason - Why the field is invalid:
+ * it is missing or empty, has the wrong type, has a value outside the allowed ones, has the same value as in another pattern,
+ * contains an unknown placeholder, or cannot be compiled as regular expression or CSS selector.
+ */
+
+/**
+ * Regular expression for the class names of the patterns, which may only consist of letters, digits and hyphens,
+ * since they are added to the elements on the page and inserted into the CSS rules of the page.
+ * @constant
+ * @type {RegExp}
+ */
+const classNameRegex = /^[a-z0-9-]+$/i;
+
+/**
+ * Determines why a required field that did not pass its check is invalid.
+ * @param {any} value The value of the field.
+ * @returns {("missing"|"type")} `"missing"` if the field is missing or empty, `"type"` otherwise.
+ */
+function getMissingOrTypeReason(value) {
+    return value === undefined || value === null || value === "" ? "missing" : "type";
+}
+
+/**
+ * Checks a declarative pattern rule against the schema of `PatternRule` and collects all invalid fields.
+ * @param {PatternRule} rule The pattern rule to be checked.
+ * @returns {Array<FieldError>} The invalid fields of the rule, or an empty array if the rule is valid.
+ */
+export function getPatternRuleErrors(rule) {
+    // Ensure that the rule is an object. Its fields cannot be checked otherwise.
+    if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+        return [{ field: "", reason: "type" }];
+    }
+    const errors = [];
+    // Ensure that the class name is a non-empty string that is a valid class name (see `classNameRegex`).
+    if (!rule.className || typeof rule.className !== "string") {
+        errors.push({ field: "className", reason: getMissingOrTypeReason(rule.className) });
+    } else if (!classNameRegex.test(rule.className)) {
+        errors.push({ field: "className", reason: "value" });
+    }
+    // Ensure that the name, the info and the info URL are given either directly or as key of a localized message.
+    for (const field of ["name", "info", "infoUrl"]) {
+        if ((!rule[field] || typeof rule[field] !== "string") && (!rule[field + "Key"] || typeof rule[field + "Key"] !== "string")) {
+            errors.push({ field: field, reason: getMissingOrTypeReason(rule[field] ?? rule[field + "Key"]) });
+        }
+    }
+    // Ensure that the color is a hexadecimal color, if specified, since it is inserted into CSS rules.
+    if (rule.color !== undefined && !/^#[0-9a-f]{6}$/i.test(rule.color)) {
+        errors.push({ field: "color", reason: "value" });
+    }
+    // Ensure that the comparison of the states is a boolean, if specified.
+    if (rule.compareStates !== undefined && typeof rule.compareStates !== "boolean") {
+        errors.push({ field: "compareStates", reason: "type" });
+    }
+    // Ensure that the element filter consists of a valid CSS selector and a positive maximum length, if specified.
+    if (rule.elementFilter !== undefined) {
+        if (!rule.elementFilter || typeof rule.elementFilter !== "object") {
+            errors.push({ field: "elementFilter", reason: "type" });
+        } else {
+            if (rule.elementFilter.selector !== undefined) {
+                try {
+                    // The selector is invalid if it cannot be applied to an empty document fragment.
+                    document.createDocumentFragment().querySelector(rule.elementFilter.selector);
+                } catch (error) {
+                    errors.push({ field: "elementFilter.selector", reason: "syntax" });
+                }
+            }
+            if (rule.elementFilter.maxTextLength !== undefined && !(rule.elementFilter.maxTextLength > 0)) {
+                errors.push({ field: "elementFilter.maxTextLength", reason: "value" });
+            }
+        }
+    }
+    // Ensure that the observed value has a category and a known kind, if specified.
+    if (rule.observe !== undefined) {
+        if (!rule.observe || typeof rule.observe !== "object") {
+            errors.push({ field: "observe", reason: "type" });
+        } else {
+            if (!rule.observe.category || typeof rule.observe.category !== "string") {
+                errors.push({ field: "observe.category", reason: getMissingOrTypeReason(rule.observe.category) });
+            }
+            if (!["deadline", "count"].includes(rule.observe.value)) {
+                errors.push({ field: "observe.value", reason: rule.observe.value === undefined ? "missing" : "value" });
+            }
+        }
+    }
+    // Ensure that the languages are an object with at least one language.
+    if (!rule.languages || typeof rule.languages !== "object" || Array.isArray(rule.languages)) {
+        errors.push({ field: "languages", reason: getMissingOrTypeReason(rule.languages) });
+        return errors;
+    }
+    if (Object.keys(rule.languages).length <= 0) {
+        errors.push({ field: "languages", reason: "missing" });
+    }
+    for (const [language, regexRules] of Object.entries(rule.languages)) {
+        const languageField = `languages.${language}`;
+        // Ensure that the language is a non-empty string and its rules are a non-empty array.
+        if (!language) {
+            errors.push({ field: languageField, reason: "value" });
+        }
+        if (!Array.isArray(regexRules) || regexRules.length <= 0) {
+            errors.push({ field: languageField, reason: Array.isArray(regexRules) ? "missing" : getMissingOrTypeReason(regexRules) });
+            continue;
+        }
+        regexRules.forEach((regexRule, idx) => {
+            const ruleField = `${languageField}[${idx}]`;
+            if (!regexRule || typeof regexRule !== "object") {
+                errors.push({ field: ruleField, reason: "type" });
+                return;
+            }
+            // Ensure that the rule has a name and a score between `0` (exclusive) and `1` (inclusive).
+            if (!regexRule.rule || typeof regexRule.rule !== "string") {
+                errors.push({ field: `${ruleField}.rule`, reason: getMissingOrTypeReason(regexRule.rule) });
+            }
+            if (typeof regexRule.score !== "number") {
+                errors.push({ field: `${ruleField}.score`, reason: getMissingOrTypeReason(regexRule.score) });
+            } else if (regexRule.score <= 0 || regexRule.score > 1) {
+                errors.push({ field: `${ruleField}.score`, reason: "value" });
+            }
+            // Ensure that the flags do not make the regular expressions stateful.
+            if (regexRule.flags !== undefined && typeof regexRule.flags !== "string") {
+                errors.push({ field: `${ruleField}.flags`, reason: "type" });
+                return;
+            }
+            if (regexRule.flags !== undefined && /[gy]/.test(regexRule.flags)) {
+                errors.push({ field: `${ruleField}.flags`, reason: "value" });
+                return;
+            }
+            for (const field of ["regex", "exclude"]) {
+                const source = regexRule[field];
+                if (field === "exclude" && source === undefined) {
+                    continue;
+                }
+                // The constructor of `RegExp` also accepts other types than strings, which are not intended.
+                if (!source || typeof source !== "string") {
+                    errors.push({ field: `${ruleField}.${field}`, reason: getMissingOrTypeReason(source) });
+                    continue;
+                }
+                // Ensure that the regular expression only contains known placeholders and can be compiled.
+                const expanded = parsing.expandRegexPlaceholders(source);
+                if (expanded === null) {
+                    errors.push({ field: `${ruleField}.${field}`, reason: "placeholder" });
+                    continue;
+                }
+                try {
+                    new RegExp(expanded, regexRule.flags ?? "i");
+                } catch (error) {
+                    errors.push({ field: `${ruleField}.${field}`, reason: "syntax" });
+                }
+            }
+        });
+    }
+    return errors;
+}
+
+/**
+ * Checks if a declarative pattern rule conforms to the schema of `PatternRule`.
+ * @param {PatternRule} rule The pattern rule to be checked.
+ * @returns {boolean} `true` if the rule is valid, `false` otherwise.
+ */
+export function validatePatternRule(rule) {
+    return getPatternRuleErrors(rule).length === 0;
+}
+
+/**
+ * Compiles a declarative pattern rule into a pattern of the `patternConfig`.
+ * The rule must have been validated with `validatePatternRule`.
+ * @param {PatternRule} rule The pattern rule to be compiled.
+ * @returns {{name: string, className: string, detectionFunctions: Array<Function>, infoUrl: string, info: string, languages: Array<string>, color?: string}}
+ * The pattern with a detection function for each language of the rule.
+ */
+function compilePatternRule(rule) {
+    return {
+        name: rule.name ?? brw.i18n.getMessage(rule.nameKey),
+        className: rule.className,
+        detectionFunctions: Object.entries(rule.languages).map(
+            ([language, regexRules]) => compileDetectionFunction(rule, language, regexRules)
+        ),
+        infoUrl: rule.infoUrl ?? brw.i18n.getMessage(rule.infoUrlKey),
+        info: rule.info ?? brw.i18n.getMessage(rule.infoKey),
+        languages: Object.keys(rule.languages),
+        color: rule.color
+    };
+}
+
+/**
+ * Compiles the regular expression rules of a language of a pattern rule into a detection function.
+ * The function is named after the class name and the language, e.g. `detectSocialProofEn` for `social-proof` and `en`,
+ * since the name is displayed to explain a detection.
+ * @param {PatternRule} rule The pattern rule.
+ * @param {string} language The ISO 639-1 code of the language.
+ * @param {Array<PatternRegexRule>} regexRules The regular expression rules of the language.
+ * @returns {Function} The detection function `f(node, nodeOld)`.
+ */
+function compileDetectionFunction(rule, language, regexRules) {
+    // Compile the regular expressions once, so that this is not done for every examined element.
+    const compiledRules = compileRegexRules(regexRules);
+    // Compose the name of the function in camel case from the class name and the language.
+    const functionName = "detect" + [...rule.className.split("-"), language]
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join("");
+    // Define the function as method with a computed name, so that the function gets the name.
+    const compiled = {
+        [functionName](node, nodeOld) {
+            // Skip the elements that do not pass the element filter of the rule.
+            if (rule.elementFilter?.selector !== undefined && !node.matches(rule.elementFilter.selector)) {
+                return false;
+            }
+            if (rule.elementFilter?.maxTextLength !== undefined && node.innerText.length > rule.elementFilter.maxTextLength) {
+                return false;
+            }
+            // Rules that compare the states can only match if there is a previous state of the element.
+            if (rule.compareStates && !nodeOld) {
+                return false;
+            }
+            const result = matchRules(node.innerText, language, compiledRules, rule.compareStates ? nodeOld.innerText : undefined);
+            // Add the value to be recorded in the observation history, if the rule observes one.
+            if (result && rule.observe) {
+                const observation = getRuleObservation(node, result.evidence.match, rule.observe);
+                if (observation) {
+                    result.evidence.observation = observation;
+                }
+            }
+            return result;
+        }
+    };
+    return compiled[functionName];
+}
+
+/**
+ * Compiles the regular expressions of the regular expression rules of a pattern rule for `matchRules`.
+ * The placeholders in the regular expressions are replaced with the expressions they stand for.
+ * The regular expression for the ignored parts is global, since all of them are removed.
+ * @param {Array<PatternRegexRule>} regexRules The regular expression rules.
+ * @returns {Array<{regex: RegExp, exclude?: RegExp, score: number, rule: string}>} The compiled rules.
+ */
+function compileRegexRules(regexRules) {
+    return regexRules.map(regexRule => ({
+        regex: new RegExp(parsing.expandRegexPlaceholders(regexRule.regex), regexRule.flags ?? "i"),
+        exclude: regexRule.exclude !== undefined ? new RegExp(parsing.expandRegexPlaceholders(regexRule.exclude), (regexRule.flags ?? "i") + "g") : undefined,
+        score: regexRule.score,
+        rule: regexRule.rule
+    }));
+}
+
+/**
+ * Tests the regular expressions of all languages of a pattern rule against a sample text,
+ * e.g. to try out a custom pattern on the options page. Element filters and the comparison of states are not applied.
+ * The rule must have been validated with `validatePatternRule`.
+ * @param {PatternRule} rule The pattern rule to be tested.
+ * @param {string} text The sample text.
+ * @returns {(DetectionResult|false)} The detection result of the matching rule with the highest score,
+ * or `false` if no rule matches.
+ */
+export function testPatternRule(rule, text) {
+    let best = false;
+    for (const [language, regexRules] of Object.entries(rule.languages)) {
+        const result = matchRules(text, language, compileRegexRules(regexRules));
+        if (result && (!best || result.score > best.score)) {
+            best = result;
+        }
+    }
+    return best;
+}
+
+/**
+ * Determines the observation of a match of a pattern rule that is recorded in the observation history of the site.
+ * The observation is recorded per element (see `getElementSignature`) and, if specified, per page.
+ * @param {Node} node The DOM node in which the match was found.
+ * @param {string} match The matched text.
+ * @param {{category: string, value: ("deadline"|"count"), perPage?: boolean}} observe The observation specified by the rule.
+ * @returns {({category: string, signature: string, value: any}|null)} The observation,
+ * or `null` if the value cannot be determined, e.g. because the match contains no number.
+ */
+function getRuleObservation(node, match, observe) {
+    let value;
+    if (observe.value === "deadline") {
+        // Compute the timestamp at which the remaining time in the match expires.
+        value = Date.now() + parsing.parseDuration(match).seconds * 1000;
+    } else {
+        // Extract the first number from the match. Matches without a number are not recorded.
+        const number = match.match(/\d+/);
+        if (!number) {
+            return null;
+        }
+        value = { count: parseInt(number[0]), path: location.pathname };
+    }
+    return {
+        category: observe.category,
+        signature: (observe.perPage ? `${location.pathname}|` : "") + getElementSignature(node),
+        value: value
+    };
+}
+
+/**
+ * Runs the detection functions of another pattern on an element and returns the evidence of the first detection
+ * that records an observation. Used by the patterns that compare the observations of other patterns over time.
+ * @param {string} className The class name of the other pattern.
+ * @param {Node} node The DOM node to be examined.
+ * @param {Node} [nodeOld] The previous state of the DOM node, if present.
+ * @returns {(Evidence|null)} The evidence with the observation, or `null` if there is no such detection.
+ */
+function findObservedEvidence(className, node, nodeOld) {
+    const pattern = patternConfig.patterns.find(p => p.className === className);
+    for (const func of pattern?.detectionFunctions ?? []) {
+        // Only the detection functions for the language of the page are run, as for the other pattern itself.
+        if (!detectionFunctionMatchesLanguage(pattern, func)) {
+            continue;
+        }
+        const result = normalizeDetectionResult(func(node, nodeOld));
+        if (result?.evidence?.observation) {
+            return result.evidence;
+        }
+    }
+    return null;
+}
+
+/**
+ * CSS selector for the interactive elements with which a user can accept or decline something,
+ * i.e. buttons and links, including elements that only act as such through their role or a click handler.
+ * @constant
+ * @type {string}
+ */
+const interactiveElementSelector = "a, button, summary, input[type=button], input[type=submit], input[type=reset], [role=button], [role=link], [role=menuitem], [onclick]";
+
+/**
+ * CSS selector for the close controls of dialogs, which are often not marked as buttons.
+ * @constant
+ * @type {string}
+ */
+const dialogCloseControlSelector = ":is(dialog, [role=dialog], [role=alertdialog], [aria-modal=true]) :is([class*=close i], [aria-label*=close i], [aria-label*=schließen i])";
+
+/**
+ * Returns the label of an interactive element, i.e. of a button, a link or a close control of a dialog.
+ * @param {Node} node The DOM node to be examined.
+ * @returns {(string|null)} The label of the element, or `null` if the element is not interactive
+ * or its label is too long to be the label of a control.
+ */
+function getInteractiveElementText(node) {
+    // Only elements can be interactive.
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+        return null;
+    }
+    // Ignore all elements that are neither interactive elements nor close controls of dialogs.
+    if (!node.matches(interactiveElementSelector) && !node.matches(dialogCloseControlSelector)) {
+        return null;
+    }
+    // Use the visible text of the element, or alternatively its value or ARIA label.
+    const text = (node.innerText || node.value || node.getAttribute("aria-label") || "").trim();
+    // Long texts are not labels of controls, but e.g. links around whole teasers.
+    if (!text || text.length > 150) {
+        return null;
+    }
+    return text;
+}
+
+/**
+ * Returns the option, i.e. the checkbox, radio button or toggle switch, that is labelled by a DOM node.
+ * Options are labelled by `label` elements, either through the `for` attribute or by wrapping the option,
+ * by elements referenced in their `aria-labelledby` attribute or, in case of ARIA options, by their own content.
+ * The option is taken from the page if possible, since only there its current state can be read.
+ * @param {Node} node The DOM node to be examined.
+ * @param {Node} [nodeLive] The element on the page of which `node` is a copy, if present.
+ * @returns {(Element|null)} The labelled option, or `null` if the node does not label an option.
+ */
+function getLabelledOption(node, nodeLive) {
+    // Only elements can label options.
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+        return null;
+    }
+    // ARIA options are labelled by their own content and hold their state themselves.
+    if (node.matches("[role=checkbox], [role=switch], [role=radio]")) {
+        return nodeLive ?? node;
+    }
+    // Use the control of the label on the page, or alternatively the control in the copy.
+    if (node.tagName === "LABEL") {
+        const control = nodeLive?.control ?? node.control;
+        // Ignore labels of other controls, e.g. of text fields.
+        return control?.matches(toggleElementSelector) ? control : null;
+    }
+    // Search for an option that references the element in its `aria-labelledby` attribute.
+    // The references only apply within the same document or shadow root.
+    if (node.id) {
+        const option = (nodeLive ?? node).getRootNode().querySelector?.(`[aria-labelledby~="${CSS.escape(node.id)}"]`);
+        return option?.matches(toggleElementSelector) ? option : null;
+    }
+    return null;
+}
+
+/**
+ * Returns the options of the group of a radio button, i.e. the native radio buttons with the same name
+ * in the same form or document or the ARIA radio buttons of the same radio group.
+ * @param {Element} option The radio button.
+ * @returns {Array<Element>} The radio buttons of the group, including the given one.
+ */
+function getRadioGroupOptions(option) {
+    if (option.matches("input[type=radio]")) {
+        if (!option.name) {
+            return [option];
+        }
+        const scope = option.form ?? option.getRootNode();
+        return [...(scope.querySelectorAll?.(`input[type=radio][name="${CSS.escape(option.name)}"]`) ?? [option])];
+    }
+    const group = option.closest("[role=radiogroup]");
+    return group ? [...group.querySelectorAll("[role=radio]")] : [option];
+}
+
+/**
+ * Returns the label of an option itself, i.e. the text of its first `label` element or its own text or ARIA label.
+ * @param {Element} option The option.
+ * @returns {string} The label of the option, or an empty string if it has none.
+ */
+function getOptionOwnLabel(option) {
+    return (option.labels?.[0]?.innerText || option.innerText || option.getAttribute("aria-label") || "").trim();
+}
+
+/**
+ * Returns the label of a checked option (see `getLabelledOption`) that the user has not changed themselves.
+ * Checkboxes and switches are preselected if they are checked. Since one radio button of a required group
+ * is always checked, e.g. a shipping or payment method, a radio button is only considered preselected
+ * if it belongs to a group of additional options that offers a choice without the option, e.g. "No insurance",
+ * and the radio button is not this choice itself.
+ * @param {Node} node The DOM node to be examined.
+ * @param {Node} [nodeLive] The element on the page of which `node` is a copy, if present.
+ * @param {RegExp} [noneOptionRegex] The regular expression for the labels of the choices without the option.
+ * If it is not specified, radio buttons are ignored.
+ * @returns {(string|null)} The label of the option, or `null` if the node does not label a preselected option
+ * or if the user has changed the option.
+ */
+function getPreselectedOptionText(node, nodeLive, noneOptionRegex) {
+    const option = getLabelledOption(node, nodeLive);
+    // Ignore nodes that do not label an option.
+    if (!option) {
+        return null;
+    }
+    // Ignore options that the user has changed, since the user has chosen the state themselves.
+    if (option.classList.contains(userChangedClassName)) {
+        return null;
+    }
+    // Ignore options that are not checked.
+    if (!(option.checked || option.getAttribute("aria-checked") === "true")) {
+        return null;
+    }
+    const text = getOptionLabelText(node);
+    // Only consider radio buttons in groups of additional options with an unselected choice without the option.
+    if (option.matches("input[type=radio], [role=radio]")) {
+        if (!noneOptionRegex || !text || noneOptionRegex.test(text)) {
+            return null;
+        }
+        const hasNoneOption = getRadioGroupOptions(option).some(
+            other => other !== option && noneOptionRegex.test(getOptionOwnLabel(other))
+        );
+        if (!hasNoneOption) {
+            return null;
+        }
+    }
+    return text;
+}
+
+/**
+ * Returns the text of a DOM node that labels an option (see `getLabelledOption`).
+ * @param {Node} node The DOM node that labels an option.
+ * @returns {(string|null)} The text of the label, or `null` if it is empty or too long to be the label of an option.
+ */
+function getOptionLabelText(node) {
+    // Use the visible text of the element, or alternatively its ARIA label.
+    const text = (node.innerText || node.getAttribute("aria-label") || "").trim();
+    // Long texts are not labels of options, but e.g. whole forms.
+    if (!text || text.length > 300) {
+        return null;
+    }
+    return text;
+}
+
+/**
+ * CSS selector for the elements that are typically used as consent dialogs, e.g. cookie banners.
+ * @constant
+ * @type {string}
+ */
+const consentDialogSelector = "dialog, [role=dialog], [role=alertdialog], [aria-modal=true], [id*=cookie i], [class*=cookie i], [id*=consent i], [class*=consent i], [id*=gdpr i], [class*=gdpr i]";
+
+/**
+ * Parses a color value as returned by `getComputedStyle`.
+ * @param {string} value The color value in the format `rgb(r, g, b)` or `rgba(r, g, b, a)`.
+ * @returns {(Array<number>|null)} The red, green, blue and alpha components, or `null` if the format is not supported.
+ */
+function parseColor(value) {
+    const match = /rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+%?))?\s*\)/.exec(value);
+    if (!match) {
+        return null;
+    }
+    // The alpha component is optional and may be specified as percentage.
+    let alpha = match[4] === undefined ? 1 : parseFloat(match[4]);
+    if (match[4]?.endsWith("%")) {
+        alpha /= 100;
+    }
+    return [parseFloat(match[1]), parseFloat(match[2]), parseFloat(match[3]), alpha];
+}
+
+/**
+ * Computes the contrast ratio of two colors according to the Web Content Accessibility Guidelines (WCAG).
+ * @param {Array<number>} color1 The first color as red, green and blue components.
+ * @param {Array<number>} color2 The second color as red, green and blue components.
+ * @returns {number} The contrast ratio between `1` (no contrast) and `21` (black on white).
+ */
+function getContrastRatio(color1, color2) {
+    // Compute the relative luminance of a color.
+    const luminance = color => {
+        const [r, g, b] = color.slice(0, 3).map(c => {
+            c /= 255;
+            return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        });
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    };
+    const [lighter, darker] = [luminance(color1), luminance(color2)].sort((a, b) => b - a);
+    return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Returns the background color that is effectively displayed behind an element,
+ * i.e. the first background color of the element or its ancestors that is not transparent.
+ * @param {Element} elem The element on the page.
+ * @returns {Array<number>} The red, green, blue and alpha components of the background color.
+ */
+function getEffectiveBackgroundColor(elem) {
+    for (let current = elem; current; current = current.parentElement ?? current.getRootNode().host) {
+        const color = parseColor(getComputedStyle(current).backgroundColor);
+        if (color && color[3] > 0) {
+            return color;
+        }
+    }
+    // The page is displayed on a white background by default.
+    return [255, 255, 255, 1];
+}
+
+/**
+ * Determines the properties of the appearance of a control on the page, which make it more or less noticeable.
+ * @param {Element} elem The control on the page.
+ * @returns {{visible: boolean, area: number, fontWeight: number, textContrast: number, backgroundContrast: number}}
+ * Whether the control is visible, its area in pixels, its font weight, the contrast of its text to its background
+ * and the contrast of its background to the background around it.
+ */
+function getControlAppearance(elem) {
+    const style = getComputedStyle(elem);
+    const rect = elem.getBoundingClientRect();
+    const area = rect.width * rect.height;
+    const background = getEffectiveBackgroundColor(elem);
+    const surroundingBackground = elem.parentElement || elem.getRootNode().host
+        ? getEffectiveBackgroundColor(elem.parentElement ?? elem.getRootNode().host)
+        : background;
+    return {
+        visible: style.display !== "none" && style.visibility !== "hidden" && parseFloat(style.opacity) > 0 && area > 0,
+        area: area,
+        fontWeight: parseInt(style.fontWeight) || 400,
+        textContrast: getContrastRatio(parseColor(style.color) ?? [0, 0, 0], background),
+        backgroundContrast: getContrastRatio(background, surroundingBackground)
+    };
+}
+
+/**
+ * Compares the appearance of the controls for accepting and rejecting in a consent dialog.
+ * Used by the detection functions of the consent asymmetry pattern for the different languages.
+ * @param {Node} node The DOM node to be examined.
+ * @param {Node} [nodeLive] The element on the page of which `node` is a copy. Without it, no styles can be compared.
+ * @param {string} language The ISO 639-1 code of the language of the regular expressions.
+ * @param {{consent: RegExp, accept: RegExp, reject: RegExp}} regexes The regular expressions to recognize the text
+ * of a consent dialog, the labels of controls for accepting and the labels of controls for rejecting.
+ * @returns {(DetectionResult|false)} The detection result, or `false` if the controls are not displayed asymmetrically.
+ */
+function detectConsentAsymmetry(node, nodeLive, language, regexes) {
+    // The computed styles can only be determined for elements on the page.
+    if (!nodeLive || node.nodeType !== Node.ELEMENT_NODE) {
+        return false;
+    }
+    // Only consent dialogs are examined, i.e. typical dialog elements or elements with a fixed position.
+    if (!node.matches(consentDialogSelector) && !hasFixedPosition(nodeLive)) {
+        return false;
+    }
+    // Ignore elements that do not ask for consent and large elements, which are not dialogs.
+    const text = node.innerText;
+    if (text.length > 3000 || !regexes.consent.test(text)) {
+        return false;
+    }
+
+    // Collect the visible properties of the controls for accepting and rejecting.
+    // Controls that could be both, e.g. "Accept only necessary cookies", are rejecting controls.
+    let accept = [];
+    let reject = [];
+    for (const control of nodeLive.querySelectorAll(interactiveElementSelector)) {
+        // Skip controls of nested consent dialogs that have already been detected,
+        // so that only the innermost dialog is highlighted.
+        const label = getInteractiveElementText(control);
+        if (!label || control.closest(`.${extensionClassPrefix}consent-asymmetry`)) {
+            continue;
+        }
+        if (regexes.reject.test(label)) {
+            reject.push({ label, ...getControlAppearance(control) });
+        } else if (regexes.accept.test(label)) {
+            accept.push({ label, ...getControlAppearance(control) });
+        }
+    }
+    // Compare the most noticeable controls of both kinds, preferring visible and large controls.
+    const mostNoticeable = controls => controls.sort((a, b) => (b.visible - a.visible) || (b.area - a.area))[0];
+    accept = mostNoticeable(accept);
+    reject = mostNoticeable(reject);
+    // Without a visible control for accepting and a control for rejecting, there is nothing to compare.
+    if (!accept || !accept.visible || !reject) {
+        return false;
+    }
+
+    // Collect the differences in the appearance together with the confidence score and the explanation.
+    let findings = [];
+    if (!reject.visible) {
+        findings.push({ score: 0.9, rule: "consent-asymmetry-hidden", note: brw.i18n.getMessage("patternConsentAsymmetry_noteHidden") });
+    } else {
+        if (accept.area >= 2 * reject.area) {
+            findings.push({ score: 0.8, rule: "consent-asymmetry-size", note: brw.i18n.getMessage("patternConsentAsymmetry_noteSize", (accept.area / reject.area).toFixed(1)) });
+        }
+        if (reject.textContrast < 3 && accept.textContrast >= 4.5) {
+            findings.push({ score: 0.8, rule: "consent-asymmetry-contrast", note: brw.i18n.getMessage("patternConsentAsymmetry_noteContrast", [reject.textContrast.toFixed(1), accept.textContrast.toFixed(1)]) });
+        }
+        if (accept.backgroundContrast >= 3 && reject.backgroundContrast < 1.5) {
+            findings.push({ score: 0.7, rule: "consent-asymmetry-background", note: brw.i18n.getMessage("patternConsentAsymmetry_noteBackground") });
+        }
+        if (accept.fontWeight - reject.fontWeight >= 300) {
+            findings.push({ score: 0.6, rule: "consent-asymmetry-font-weight", note: brw.i18n.getMessage("patternConsentAsymmetry_noteFontWeight") });
+        }
+    }
+    if (findings.length === 0) {
+        return false;
+    }
+    // Use the finding with the highest score, but explain all differences.
+    const best = findings.reduce((a, b) => b.score > a.score ? b : a);
+    return {
+        score: best.score,
+        evidence: {
+            match: accept.label,
+            rule: best.rule,
+            language: language,
+            note: findings.map(finding => finding.note).join(" ")
+        }
+    };
+}
+
+/**
+ * Checks if an element on the page has a fixed position, i.e. floats above the page like a notification.
+ * @param {Node} [nodeLive] The element on the page.
+ * @returns {boolean} `true` if the element has a fixed or sticky position, `false` otherwise or without element.
+ */
+function hasFixedPosition(nodeLive) {
+    return !!nodeLive && nodeLive.nodeType === Node.ELEMENT_NODE
+        && ["fixed", "sticky"].includes(getComputedStyle(nodeLive).position);
+}
+
+/**
+ * Searches a DOM node for a reference price that makes the actual price appear cheaper,
+ * i.e. a crossed-out price or a price labelled as previous or recommended price.
+ * @param {Node} node The DOM node to be examined.
+ * @param {Node} [nodeLive] The element on the page of which `node` is a copy. Is needed to recognize prices
+ * that are crossed out with CSS.
+ * @param {RegExp} labelRegex A regular expression for the labels of reference prices, e.g. "RRP".
+ * @returns {(import("./parsing.js").Amount|null)} The reference price, or `null` if there is none.
+ */
+function findReferencePrice(node, nodeLive, labelRegex) {
+    // Collect the crossed-out elements, either by their tag or by their computed style.
+    let crossedOut = [...node.querySelectorAll("s, del, strike")];
+    if (nodeLive) {
+        crossedOut.push(...[...nodeLive.querySelectorAll("*")].filter(elem => getComputedStyle(elem).textDecorationLine.includes("line-through")));
+    }
+    // Use the price of the first crossed-out element that contains exactly one price.
+    for (const elem of crossedOut) {
+        const prices = parsing.findAmounts(elem.innerText);
+        if (prices.length === 1) {
+            return prices[0];
+        }
+    }
+    // Alternatively, search for a price preceded by a label.
+    const match = new RegExp(`${labelRegex.source}\\s*:?\\s*(${parsing.amountRegexSource})`, "i").exec(node.innerText);
+    // The match is case-insensitive because of the label, therefore the amount may still be rejected, e.g. "top 5".
+    const amount = match ? parsing.parseAmount(match[1]) : null;
+    return amount ? { ...amount, text: match[0] } : null;
+}
+
+/**
+ * Detects reference prices that are used as fake anchors for a discount.
+ * The reference price and the actual price are recorded per product, so that they can be compared over repeated visits.
+ * Used by the detection functions of the fake discount pattern for the different languages.
+ * @param {Node} node The DOM node to be examined.
+ * @param {Node} [nodeLive] The element on the page of which `node` is a copy, if present.
+ * @param {string} language The ISO 639-1 code of the language of the `labelRegex`.
+ * @param {RegExp} labelRegex A regular expression for the labels of reference prices.
+ * @returns {(DetectionResult|false)} The detection result, or `false` if there is no reference price.
+ */
+function detectFakeDiscount(node, nodeLive, language, labelRegex) {
+    // Only small elements with two or three prices are examined, e.g. a price box, but not a whole product list.
+    if (node.nodeType !== Node.ELEMENT_NODE || node.innerText.length > 200) {
+        return false;
+    }
+    const prices = parsing.findAmounts(node.innerText);
+    if (prices.length < 2 || prices.length > 3) {
+        return false;
+    }
+    const reference = findReferencePrice(node, nodeLive, labelRegex);
+    if (!reference) {
+        return false;
+    }
+    // The actual price is the first other price, which must be lower than the reference price in the same currency.
+    const price = prices.find(p => p.value !== reference.value);
+    if (!price || price.currency !== reference.currency || price.value >= reference.value) {
+        return false;
+    }
+
+    // Identify the product by the URL of the link around or in the element, or otherwise by the URL of the page.
+    const link = (nodeLive ?? node).closest("a[href]") ?? node.querySelector("a[href]");
+    let productPath = location.pathname;
+    if (link) {
+        try {
+            productPath = new URL(link.href).pathname;
+        } catch (error) {
+            // The URL of the link cannot be parsed, e.g. `http://exa mple.com`. In this case, the URL of the page is used.
+        }
+    }
+    const observation = {
+        category: "price",
+        signature: productPath,
+        value: { reference: reference.value, price: price.value, currency: price.currency }
+    };
+    // Combine the prices of previous visits with the current ones, from oldest to newest.
+    const now = Date.now();
+    const observations = [...observationHistory.getObservations("price", productPath), { time: now, value: observation.value }]
+        .filter(o => o.value.currency === price.currency);
+    const format = value => value.toLocaleString(undefined, { style: "currency", currency: price.currency });
+    const discount = Math.round((1 - price.value / reference.value) * 100);
+
+    // Compose the detection result for a rule, including the history of the actual price for the popup.
+    const result = (score, rule, note) => ({
+        score: score,
+        evidence: {
+            match: reference.text,
+            rule: rule,
+            language: language,
+            note: note,
+            observation: observation,
+            history: observations.map(o => ({ time: o.time, value: o.value.price }))
+        }
+    });
+
+    // Check if the reference price was never charged over at least three visits spanning at least one week.
+    if (observations.length >= 3 && now - observations[0].time >= 7 * 86400000
+        && observations.every(o => o.value.reference === reference.value && o.value.price < reference.value)) {
+        return result(0.8, "fake-discount-never-charged", brw.i18n.getMessage("patternFakeDiscount_noteNeverCharged", [format(reference.value), observations.length.toString()]));
+    }
+    // Check if the reference price was raised by at least 10 percent while the actual price stayed the same.
+    if (observations.some(o => o.value.price === price.value && o.value.reference * 1.1 <= reference.value)) {
+        return result(0.8, "fake-discount-reference-raised", brw.i18n.getMessage("patternFakeDiscount_noteReferenceRaised", format(reference.value)));
+    }
+    // Check if the discount is implausibly high.
+    if (discount >= 70) {
+        return result(0.7, "fake-discount-implausible", brw.i18n.getMessage("patternFakeDiscount_noteImplausible", discount.toString()));
+    }
+    // A reference price alone is only a weak indication of a fake discount,
+    // but it is recorded to be compared on later visits.
+    return result(0.3, "fake-discount-reference", brw.i18n.getMessage("patternFakeDiscount_noteReference", [format(reference.value), format(price.value)]));
+}
+
+/**
+ * Regular expressions for the labels of the line items in a checkout for the supported languages.
+ * `total` matches the labels of totals and `fee` the labels of fees that are added to the price of the products.
+ * @constant
+ * @type {Object.<string, {total: RegExp, fee: RegExp}>}
+ */
+const checkoutLabelRules = {
+    en: {
+        // Example: "Total", "Order total", "Amount due"
+        total: /^(?:order\s*|grand\s*|estimated\s*)?total\b|^(?:amount\s*due|to\s*pay|you\s*pay)\b/i,
+        // Example: "Shipping", "Service fee", "Handling"
+        fee: /\b(?:shipping|delivery|handling|service|processing|booking|convenience|payment|fee|surcharge|insurance|packaging)\b/i
+    },
+    de: {
+        // Example: "Gesamtsumme", "Summe", "Zu zahlender Betrag"
+        total: /^(?:gesamt(?:summe|betrag|preis)?|summe|endbetrag|endpreis|zu\s*zahlen(?:der\s*Betrag)?)\b/i,
+        // Example: "Versandkosten", "Servicegebühr", "Zuschlag"
+        fee: /(?:versand|liefer|porto|service|bearbeitung|buchung|gebühr|zuschlag|aufpreis|versicherung|verpackung|zahlungsart)/i
+    }
+};
+
+/**
+ * A regular expression for the URLs of pages that belong to a checkout, e.g. the cart or the payment page.
+ * The keywords must not be part of longer words, so that e.g. "border" or "cartoon" do not match,
+ * but they may be separated by other characters than letters, e.g. in `/checkout/`, `order-summary` or `cart.php`.
+ * @constant
+ * @type {RegExp}
+ */
+export const checkoutUrlRegex = /(?<![a-z])(?:checkout|cart|basket|warenkorb|kasse|bestell(?:en|ung)?|order|payment|zahlung|versand|shipping|booking|buchung)(?![a-z])/i;
+
+/**
+ * Parses a line item of a checkout, i.e. a short text consisting of a label and a price, e.g. "Shipping: $4.99".
+ * @param {string} text The text of the line item.
+ * @param {string} language The ISO 639-1 code of the language of the label.
+ * @returns {(import("./checkout.js").LineItem|null)} The line item, or `null` if the text is not a total or a fee.
+ */
+function parseLineItem(text, language) {
+    text = text.trim();
+    // Line items are short and contain exactly one price.
+    if (text.length > 80) {
+        return null;
+    }
+    const prices = parsing.findAmounts(text);
+    if (prices.length !== 1) {
+        return null;
+    }
+    // The label is the remaining text without the price.
+    const label = text.replace(prices[0].text, "").replace(/[\s:]+/g, " ").trim();
+    const rules = checkoutLabelRules[language];
+    const kind = rules.total.test(label) ? "total" : rules.fee.test(label) ? "fee" : null;
+    if (!kind) {
+        return null;
+    }
+    return { label: label, value: prices[0].value, currency: prices[0].currency, kind: kind };
+}
+
+/**
+ * Checks whether a part of a page contains a monetary amount, i.e. whether a change of the part
+ * can affect the total or the fees of a checkout (see `getCheckoutSummary`).
+ * This is much faster than determining the total and the fees of the whole page again.
+ * @param {(Element|ShadowRoot)} root The part of the page.
+ * @returns {boolean} `true` if the part contains an amount, `false` otherwise.
+ */
+export function containsAmount(root) {
+    return parsing.findAmounts(root.textContent ?? "").length > 0;
+}
+
+/**
+ * Extracts the total and the fees that are shown on a page of a checkout.
+ * @param {Element} root The element on the page that contains the checkout, usually the body.
+ * @returns {{total: (import("./checkout.js").LineItem|null), fees: Array<import("./checkout.js").LineItem>}}
+ * The last total on the page, or `null` if there is none, and the distinct fees.
+ */
+export function getCheckoutSummary(root) {
+    // Array for the elements with line items and the line items.
+    let found = [];
+    // Iterate over the elements starting with the innermost ones, so that each line item is only taken from the smallest element.
+    for (const elem of [...root.querySelectorAll("*")].reverse()) {
+        // Skip ignored elements, large elements and elements that contain an already found line item.
+        if (tagBlacklist.includes(elem.tagName.toLowerCase()) || elem.textContent.length > 200 || found.some(f => elem.contains(f.elem))) {
+            continue;
+        }
+        for (const language of Object.keys(checkoutLabelRules)) {
+            const item = parseLineItem(elem.innerText ?? "", language);
+            if (item) {
+                found.push({ elem: elem, item: item });
+                break;
+            }
+        }
+    }
+    // Restore the order of the line items on the page.
+    const items = found.reverse().map(f => f.item);
+    const totals = items.filter(item => item.kind === "total");
+    // Take each fee only once, even if it is shown several times on the page.
+    const fees = items.filter((item, idx) => item.kind === "fee"
+        && items.findIndex(other => other.kind === "fee" && other.label === item.label && other.value === item.value) === idx);
+    return { total: totals.at(-1) ?? null, fees: fees };
+}
+
+/**
+ * Detects fees in a checkout that were not shown in the previous steps of the checkout, although a total was shown.
+ * Used by the detection functions of the hidden costs pattern for the different languages.
+ * @param {Node} node The DOM node to be examined.
+ * @param {string} language The ISO 639-1 code of the language of the labels.
+ * @returns {(DetectionResult|false)} The detection result, or `false` if the node is not a hidden fee.
+ */
+function detectHiddenCosts(node, language) {
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+        return false;
+    }
+    const fee = parseLineItem(node.innerText, language);
+    if (!fee || fee.kind !== "fee") {
+        return false;
+    }
+    // Compare the fee with the steps of the checkout on the previous pages.
+    const previousSteps = checkout.getPreviousSteps();
+    const hiddenCost = checkout.findHiddenCost(fee, previousSteps, checkout.getCurrentTotal());
+    if (!hiddenCost) {
+        return false;
+    }
+    const format = value => value.toLocaleString(undefined, { style: "currency", currency: fee.currency });
+    // Use the last total before the fee appeared to show how the costs have grown.
+    const previousTotal = hiddenCost.previousTotal;
+    if (hiddenCost.reason === "new") {
+        return {
+            score: 0.8,
+            evidence: {
+                match: node.innerText.trim(),
+                rule: "hidden-costs-new",
+                language: language,
+                note: brw.i18n.getMessage("patternHiddenCosts_noteNew", [format(fee.value), format(previousTotal.value)])
+            }
+        };
+    }
+    return {
+        score: 0.7,
+        evidence: {
+            match: node.innerText.trim(),
+            rule: "hidden-costs-increased",
+            language: language,
+            note: brw.i18n.getMessage("patternHiddenCosts_noteIncreased", [format(hiddenCost.previousValue), format(fee.value)])
+        }
+    };
+}
+
 /**
- * The object to access the API functions of the browser.
+ * The class name of the activity notification pattern.
+ * The content script watches for notifications of this pattern during the whole visit of a page.
+ * Must be declared before the `patternConfig`, since it is used in it.
  * @constant
- * @type {{runtime: object, i18n: object}} BrowserAPI
  */
-const brw = chrome;
+export const activityNotificationClassName = "activity-notification";
+
+/**
+ * The declarative rules of the built-in patterns, which are loaded from `rules/builtin.json`.
+ * Must be loaded before the `patternConfig`, since they are compiled into it.
+ * @constant
+ * @type {{rules: Array.<PatternRule>}}
+ */
+const builtinPatternRules = await (await fetch(brw.runtime.getURL("rules/builtin.json"))).json();
 
 /**
  * Configuration of the pattern detection functions.
  * The following attributes must be specified for each pattern.
  *  - `name`: The name of the pattern that will be displayed on the UI.
- *  - `className`: A valid CSS class name for the pattern (used only internally and not displayed).
- *  - `detectionFunctions`: An array of functions `f(node, nodeOld)` to detect the pattern.
+ *  - `className`: A valid CSS class name for the pattern, consisting only of letters, digits and hyphens
+ *    (used only internally and not displayed).
+ *  - `detectionFunctions`: An array of functions `f(node, nodeOld)` or `f(node, nodeOld, nodeLive)` to detect the pattern.
  *      Parameters of the functions are the HTML node to be examined in current and previous state (in this order).
- *      The functions must return `true` if the pattern was detected and `false` if not.
+ *      The optional third parameter is the element on the page of which the node is a copy, if it still exists.
+ *      It is only needed to read the live state of elements that is not copied, e.g. of form inputs.
+ *      The functions must return `false` if the pattern was not detected. If the pattern was detected,
+ *      they return either `true`, a confidence score between `0` and `1`,
+ *      or an object `{score: number, evidence: {match: string, rule: string, language: string}}` (see `DetectionResult`).
+ *      The functions should be named, since the name is displayed to explain a detection.
+ *      The name of a function that only detects the pattern in one language ends with the language code
+ *      in camel case, e.g. `detectConfirmshamingDe`, so that it is only run on pages in this language
+ *      (see `detectionFunctionMatchesLanguage`). Functions without such a suffix are run on all pages.
  *  - `infoUrl`: The URL to the explanation of the pattern on the `dapde.de` website.
  *  - `info`: A brief explanation of the pattern.
  *  - `languages`: An array of ISO 639-1 codes of the languages supported by the detection functions..
+ * The following attributes are optional.
+ *  - `color`: The color in the form `#rrggbb` with which the pattern is highlighted (see `getPatternHighlightStyles`).
+ *  - `custom`: `true` if the pattern was defined by the user on the options page (see `setCustomPatterns`).
+ *  - `pack`: The ID, name and version of the rule pack from which the pattern was imported (see `setRulePacks`).
+ * The patterns that can be described by regular expressions are not defined here,
+ * but as declarative rules in `rules/builtin.json` (see `PatternRule`), which are kept in `rules`.
+ * They are compiled into patterns (see `compilePatternRule`) that precede the patterns defined here.
  * @constant
  * @type {{
+ *  rules: Array.<PatternRule>,
  *  patterns: Array.<{
  *      name: string,
  *      className: string,
  *      detectionFunctions: Array.<Function>,
  *      infoUrl: string,
  *      info: string,
- *      languages: Array.<string>
+ *      languages: Array.<string>,
+ *      color?: string,
+ *      custom?: boolean,
+ *      pack?: {id: string, name: string, version: string}
  *  }>
  * }}
  */
 export const patternConfig = {
+    rules: builtinPatternRules.rules,
     patterns: [
+        // Compile the valid built-in rules. Invalid rules are reported by `validatePatternConfig`.
+        ...builtinPatternRules.rules.filter(validatePatternRule).map(compilePatternRule),
         {
             /**
-             * Countdown Pattern.
-             * Countdown patterns induce (truthfully or falsely) the impression that a product or service is only available for a certain period of time.
-             * This is illustrated through a running clock or a lapsing bar.
-             * You can watch as the desired good slips away.
+             * Resetting Countdown Pattern.
+             * A special form of the countdown pattern, where the countdown does not refer to a real deadline
+             * and starts again on every visit of the page.
              */
-            name: brw.i18n.getMessage("patternCountdown_name"),
-            className: "countdown",
+            name: brw.i18n.getMessage("patternResettingCountdown_name"),
+            className: "resetting-countdown",
             detectionFunctions: [
-                function (node, nodeOld) {
-                    // Countdowns should only be identified as such if they are actively running and not static.
-                    // Therefore, it is necessary to check first if there is an old state of the element and if the text in it has changed.
-                    if (nodeOld && node.innerText != nodeOld.innerText) {
-                        /**
-                         * Regular expression for a usual countdown with or without words.
-                         * @constant
-                         */
-                        const reg = /(?:\d{1,2}\s*:\s*){1,3}\d{1,2}|(?:\d{1,2}\s*(?:days?|hours?|minutes?|seconds?|tage?|stunden?|minuten?|sekunden?|[a-zA-Z]{1,3}\.?)(?:\s*und)?\s*){2,4}/gi;
-
-                        /**
-                         * Regular expression for strings that match the regular expression for countdowns
-                         * but are not countdowns because there are too many numbers.
-                         * A maximum of 4 numbers for days, hours, minutes and seconds is expected.
-                         * @constant
-                         */
-                        const regBad = /(?:\d{1,2}\s*:\s*){4,}\d{1,2}|(?:\d{1,2}\s*(?:days?|hours?|minutes?|seconds?|tage?|stunden?|minuten?|sekunden?|[a-zA-Z]{1,3}\.?)(?:\s*und)?\s*){5,}/gi;
-
-                        // If matches for "wrong" countdowns are found with the second regular expression,
-                        // remove these parts from the string.
-                        // Then search for matches for real countdowns in the remaining string.
-                        // Do this for the old and current state of the text.
-                        let matchesOld = nodeOld.innerText.replace(regBad, "").match(reg);
-                        let matchesNew = node.innerText.replace(regBad, "").match(reg);
-
-                        // If no matches were found in one of the two states of the texts or
-                        // if the number of matches in the two states does not match,
-                        // the element is not classified as a countdown.
-                        if (matchesNew == null || matchesOld == null ||
-                            (matchesNew != null && matchesOld != null
-                                && matchesNew.length != matchesOld.length)) {
-                            return false;
+                function detectResettingCountdown(node, nodeOld) {
+                    // Search for an actively running countdown in the element using the detection functions of the countdown pattern.
+                    const evidence = findObservedEvidence("countdown", node, nodeOld);
+                    if (!evidence) {
+                        return false;
+                    }
+                    const countdown = { match: evidence.match, deadline: evidence.observation.value, signature: evidence.observation.signature };
+                    // Search the deadlines of the same countdown from previous visits of the site
+                    // for a deadline that had not yet expired, but is earlier than the current deadline.
+                    // A tolerance of one minute compensates for inaccuracies, e.g. due to the loading time of the page.
+                    const reset = observationHistory.getObservations("countdown", countdown.signature).findLast(
+                        observation => observation.value > Date.now() && countdown.deadline - observation.value > 60000
+                    );
+                    if (!reset) {
+                        return false;
+                    }
+                    // If the countdown has been extended before its deadline, it is a resetting countdown.
+                    return {
+                        score: 0.9,
+                        evidence: {
+                            match: countdown.match,
+                            rule: "countdown-reset",
+                            note: brw.i18n.getMessage("patternResettingCountdown_note", [
+                                new Date(reset.value).toLocaleString(),
+                                new Date(countdown.deadline).toLocaleString()
+                            ])
                         }
+                    };
+                }
+            ],
+            infoUrl: brw.i18n.getMessage("patternResettingCountdown_infoUrl"),
+            info: brw.i18n.getMessage("patternResettingCountdown_info"),
+            languages: [
+                "en",
+                "de",
+                "fr",
+                "es",
+                "it",
+                "nl"
+            ]
+        },
+        {
+            /**
+             * Fake Scarcity Pattern.
+             * A special form of the scarcity pattern, where the claimed numbers are obviously invented.
+             * This is revealed by comparing the numbers over repeated visits of the product page
+             * and between the products of a shop.
+             */
+            name: brw.i18n.getMessage("patternFakeScarcity_name"),
+            className: "fake-scarcity",
+            detectionFunctions: [
+                function detectFakeScarcity(node, nodeOld) {
+                    // Search for a scarcity claim with a number using the detection functions of the scarcity pattern.
+                    const claim = findObservedEvidence("scarcity", node, nodeOld);
+                    if (!claim) {
+                        return false;
+                    }
+
+                    // Combine the numbers claimed on previous visits with the current one, from oldest to newest.
+                    const current = { time: Date.now(), value: claim.observation.value };
+                    const observations = [...observationHistory.getObservations("scarcity", claim.observation.signature), current];
+                    const counts = observations.map(observation => observation.value.count);
+                    // The history of the claimed numbers that is displayed in the popup.
+                    const history = observations.map(observation => ({ time: observation.time, value: observation.value.count }));
+
+                    // Check if the same number is claimed for at least three other products of the shop.
+                    // Only the last observation of each element is considered.
+                    const otherProducts = new Set(
+                        Object.values(observationHistory.getAllObservations("scarcity"))
+                            .map(productObservations => productObservations.at(-1).value)
+                            .filter(value => value.path !== current.value.path && value.count === current.value.count)
+                            .map(value => value.path)
+                    );
+                    if (otherProducts.size >= 3) {
+                        return {
+                            score: 0.8,
+                            evidence: {
+                                match: claim.match,
+                                rule: "scarcity-identical-across-products",
+                                note: brw.i18n.getMessage("patternFakeScarcity_noteIdentical", [current.value.count.toString(), otherProducts.size.toString()]),
+                                history: history
+                            }
+                        };
+                    }
 
-                        // Since it was ensured at the point that there are the same number of matches
-                        // in both states of the text, it is initially assumed that the matches with the same index
-                        // in both states are the same countdown.
-                        for (let i = 0; i < matchesNew.length; i++) {
-                            // Extract all contiguous numbers from the strings.
-                            // Example: `"23:59:58"` -> `["23", "59", "58"]`.
-                            let numbersNew = matchesNew[i].match(/\d+/gi);
-                            let numbersOld = matchesOld[i].match(/\d+/gi);
-
-                            // If the number of each number does not match,
-                            // then the pair of countdowns does not match.
-                            if (numbersNew.length != numbersOld.length) {
-                                // Ignore this pair and examine at the next one.
-                                continue;
+                    // Check if the number has never changed over at least three visits spanning at least one day.
+                    if (observations.length >= 3 && new Set(counts).size === 1 && current.time - observations[0].time >= 86400000) {
+                        return {
+                            score: 0.7,
+                            evidence: {
+                                match: claim.match,
+                                rule: "scarcity-constant",
+                                note: brw.i18n.getMessage("patternFakeScarcity_noteConstant", [current.value.count.toString(), observations.length.toString()]),
+                                history: history
                             }
+                        };
+                    }
 
-                            // Iterate through all pairs of numbers in the strings.
-                            for (let x = 0; x < numbersNew.length; x++) {
-                                // Since countdowns should be detected that are running down,
-                                // the numbers from left to right become smaller over time.
-                                // When the numbers are iterated from left to right,
-                                // at least one number in the current state of the text
-                                // should be smaller than in the old state.
-                                // If a number in the current state is larger before a number
-                                // is smaller than in the previous state, it does not seem to be an elapsing countdown.
-                                // Examples: current state - previous state -> result
-                                //           23,30,40      - 23,30,39       -> is a countdown
-                                //           23,30,00      - 23,29,59       -> is a countdown
-                                //           23,30,40      - 23,31,20       -> is not a countdown
-                                //           23,30,40      - 23,30,41       -> is not a countdown
-                                //           23,30,40      - 23,30,40       -> is not a countdown
-                                if (parseInt(numbersNew[x]) > parseInt(numbersOld[x])) {
-                                    // If the number in the current state is larger,
-                                    // break out of the loop and examine the next pair, if present.
-                                    // This case occurs only if the second if-clause did not occur and `true` was returned.
-                                    break;
-                                }
-                                if (parseInt(numbersNew[x]) < parseInt(numbersOld[x])) {
-                                    // Return `true` if a number has decreased.
-                                    return true;
-                                }
+                    // Count how often the number has changed its direction, i.e. went up after going down or vice versa.
+                    let directionChanges = 0;
+                    let lastDirection = 0;
+                    for (let i = 1; i < counts.length; i++) {
+                        const direction = Math.sign(counts[i] - counts[i - 1]);
+                        if (direction !== 0) {
+                            if (lastDirection !== 0 && direction !== lastDirection) {
+                                directionChanges++;
                             }
+                            lastDirection = direction;
                         }
                     }
-                    // Return `false` if no countdown was detected by the previous steps.
+                    // Check if the number jumps randomly, i.e. has changed its direction at least twice.
+                    if (directionChanges >= 2) {
+                        return {
+                            score: 0.7,
+                            evidence: {
+                                match: claim.match,
+                                rule: "scarcity-erratic",
+                                note: brw.i18n.getMessage("patternFakeScarcity_noteErratic", [directionChanges.toString(), observations.length.toString()]),
+                                history: history
+                            }
+                        };
+                    }
+                    // Return `false` if the claimed numbers are not conspicuous.
                     return false;
                 }
             ],
-            infoUrl: brw.i18n.getMessage("patternCountdown_infoUrl"),
-            info: brw.i18n.getMessage("patternCountdown_info"),
+            infoUrl: brw.i18n.getMessage("patternFakeScarcity_infoUrl"),
+            info: brw.i18n.getMessage("patternFakeScarcity_info"),
             languages: [
                 "en",
-                "de"
+                "de",
+                "fr",
+                "es",
+                "it",
+                "nl"
             ]
         },
         {
             /**
-             * Scarcity Pattern.
-             * The Scarcity Pattern induces (truthfully or falsely) the impression that goods or services are only available in limited numbers.
-             * The pattern suggests: Buy quickly, otherwise the beautiful product will be gone!
-             * Scarcity Patterns are also used in versions where the alleged scarcity is simply invented or
-             * where it is not made clear whether the limited availability relates to the product as a whole or only to the contingent of the portal visited.
+             * Confirmshaming Pattern.
+             * The option to decline an offer is worded in a way that makes the user feel guilty or foolish,
+             * e.g. "No thanks, I don't want to save money".
              */
-            name: brw.i18n.getMessage("patternScarcity_name"),
-            className: "scarcity",
+            name: brw.i18n.getMessage("patternConfirmshaming_name"),
+            className: "confirmshaming",
             detectionFunctions: [
-                function (node, nodeOld) {
-                    // Return true if a match is found in the current text of the element,
-                    // using a regular expression for the scarcity pattern with English words.
-                    // The regular expression checks whether a number is followed by one of several keywords
-                    // or alternatively if the word group 'last/final article/item' is present.
+                function detectConfirmshamingEn(node, nodeOld) {
+                    // Only the labels of interactive elements are examined, since the pattern is about the controls
+                    // for declining an offer and not about the text around them.
                     // The previous state of the element is not used.
-                    // Example: "10 pieces available"
-                    //          "99% claimed"
-                    return /\d+\s*(?:\%|pieces?|pcs\.?|pc\.?|ct\.?|items?)?\s*(?:available|sold|claimed|redeemed)|(?:last|final)\s*(?:article|item)/i.test(node.innerText);
+                    const text = getInteractiveElementText(node);
+                    if (!text) {
+                        return false;
+                    }
+                    return matchRules(text, "en", [
+                        // Example: "No thanks, I don't want to save money"
+                        //          "No, I don't like free shipping"
+                        // A plain decline such as "No thanks, I don't want a newsletter" is not matched,
+                        // since only declining an advantage makes the user look foolish.
+                        { regex: /\bno\b,?\s*(?:thanks|thank\s*you)?[,.!]?\s*I\s*(?:don['’]?t|do\s*not)\s*(?:want|like|need|care)\s*(?:to\s*|about\s*)?(?:save|saving|money|discounts?|deals?|free|rewards?|bonus|savings)\b/i, score: 0.9, rule: "confirmshaming-en-1" },
+                        // Example: "I prefer to pay full price"
+                        //          "I'd rather miss out"
+                        { regex: /\bI(?:\s*prefer|['’]?d\s*rather|\s*would\s*rather)\s*(?:to\s*)?(?:pay(?:ing)?\s*(?:the\s*)?full|pay(?:ing)?\s*more|miss(?:ing)?\s*out|stay(?:ing)?\s*(?:uninformed|unprotected))/i, score: 0.9, rule: "confirmshaming-en-2" },
+                        // Example: "I don't want to save"
+                        //          "I do not like discounts"
+                        { regex: /\bI\s*(?:don['’]?t|do\s*not)\s*(?:want|like|need)\s*(?:to\s*)?(?:save|saving|discounts?|deals?|free|rewards?|bonus)/i, score: 0.8, rule: "confirmshaming-en-3" },
+                        // Example: "No, I hate saving money"
+                        //          "I'm not interested in saving money"
+                        { regex: /\bI(?:\s*hate|['’]?m\s*not\s*interested\s*in|\s*am\s*not\s*interested\s*in)\s*(?:saving|discounts?|deals?|free|good)/i, score: 0.8, rule: "confirmshaming-en-4" }
+                    ]);
                 },
-                function (node, nodeOld) {
-                    // Return true if a match is found in the current text of the element,
-                    // using a regular expression for the scarcity pattern with German words.
-                    // The regular expression checks whether a number is followed by one of several keywords
-                    // or alternatively if the word group 'last article' (`letzter\s*Artikel`) is present.
+                function detectConfirmshamingDe(node, nodeOld) {
+                    // Only the labels of interactive elements are examined, since the pattern is about the controls
+                    // for declining an offer and not about the text around them.
                     // The previous state of the element is not used.
-                    // Example: "10 Stück verfügbar"
-                    //          "99% eingelöst"
-                    return /\d+\s*(?:\%|stücke?|stk\.?)?\s*(?:verfügbar|verkauft|eingelöst)|letzter\s*Artikel/i.test(node.innerText);
+                    const text = getInteractiveElementText(node);
+                    if (!text) {
+                        return false;
+                    }
+                    return matchRules(text, "de", [
+                        // Example: "Nein danke, ich möchte kein Geld sparen"
+                        //          "Nein, ich will keine Vorteile"
+                        // A plain decline such as "Nein danke, ich möchte keinen Newsletter" is not matched.
+                        { regex: /\bnein\b,?\s*(?:danke)?[,.!]?\s*ich\s*(?:möchte|will|brauche)\s*(?:nicht|kein\w*)\s*(?:Geld\s*)?(?:sparen|Rabatte?|Vorteile?|Gutschein|Bonus|Ersparnis)/i, score: 0.9, rule: "confirmshaming-de-1" },
+                        // Example: "Ich zahle lieber den vollen Preis"
+                        //          "Ich bezahle lieber mehr"
+                        { regex: /\bich\s*(?:be)?zahle\s*lieber\s*(?:den\s*)?(?:vollen|mehr)/i, score: 0.9, rule: "confirmshaming-de-2" },
+                        // Example: "Ich möchte nicht sparen"
+                        //          "Ich will keinen Rabatt"
+                        { regex: /\bich\s*(?:möchte|will)\s*(?:nicht|kein\w*)\s*(?:Geld\s*)?(?:sparen|Rabatt|Vorteile?|Angebote?|Gutschein|Bonus)/i, score: 0.8, rule: "confirmshaming-de-3" },
+                        // Example: "Ich verzichte auf meinen Rabatt"
+                        //          "Ich verzichte gerne auf Schutz"
+                        { regex: /\bich\s*verzichte\s*(?:gerne\s*)?auf\s*(?:meinen?\s*|den\s*|die\s*)?(?:Rabatt|Vorteile?|Gutschein|Ersparnis|Schutz|Bonus)/i, score: 0.8, rule: "confirmshaming-de-4" }
+                    ]);
                 }
             ],
-            infoUrl: brw.i18n.getMessage("patternScarcity_infoUrl"),
-            info: brw.i18n.getMessage("patternScarcity_info"),
+            infoUrl: brw.i18n.getMessage("patternConfirmshaming_infoUrl"),
+            info: brw.i18n.getMessage("patternConfirmshaming_info"),
             languages: [
                 "en",
                 "de"
@@ -170,36 +1409,61 @@ export const patternConfig = {
         },
         {
             /**
-             * Social Proof Pattern.
-             * Social Proof is another Dark Pattern of this category.
-             * Positive product reviews or activity reports from other users are displayed directly.
-             * Often, these reviews or reports are simply made up.
-             * But authentic reviews or reports also influence the purchase decision through smart selection and placement.
+             * Preselection Pattern.
+             * An option that adds costs or a consent is already selected by default,
+             * so that the user has to actively deselect it.
              */
-            name: brw.i18n.getMessage("patternSocialProof_name"),
-            className: "social-proof",
+            name: brw.i18n.getMessage("patternPreselection_name"),
+            className: "preselection",
             detectionFunctions: [
-                function (node, nodeOld) {
-                    // Return true if a match is found in the current text of the element,
-                    // using a regular expression for the social proof pattern with English words.
-                    // The regular expression checks whether a number is followed by a combination of different keywords.
+                function detectPreselectionEn(node, nodeOld, nodeLive) {
+                    // Only checked options that the user has not changed themselves are examined.
+                    // Radio buttons are only examined in groups with a choice without the option.
                     // The previous state of the element is not used.
-                    // Example: "5 other customers also bought this article"
-                    //          "6 buyers have rated the following products [with 5 stars]"
-                    return /\d+\s*(?:other)?\s*(?:customers?|clients?|buyers?|users?|shoppers?|purchasers?|people)\s*(?:have\s+)?\s*(?:(?:also\s*)?(?:bought|purchased|ordered)|(?:rated|reviewed))\s*(?:this|the\s*following)\s*(?:product|article|item)s?/i.test(node.innerText);
+                    // Example of such a choice: "No insurance", "Without protection", "No, thanks"
+                    const text = getPreselectedOptionText(node, nodeLive, /^\s*(?:none|no|without|decline|skip|I\s*don['’]?t)\b/i);
+                    if (!text) {
+                        return false;
+                    }
+                    return matchRules(text, "en", [
+                        // Example: "Add insurance for + $4.99"
+                        //          "Gift wrapping (€2.50)"
+                        // The amount is matched case-sensitively, so that e.g. "top 5" is not taken for a price.
+                        { regex: new RegExp(parsing.amountRegexSource), score: 0.9, rule: "preselection-en-price" },
+                        // Example: "Add a donation"
+                        //          "Protection plan"
+                        { regex: /\b(?:insurance|protection\s*plan|warranty|donat(?:e|ion)|tip\b|gift\s*wrap|express|priority|premium|subscri(?:be|ption)|membership)/i, score: 0.7, rule: "preselection-en-cost" },
+                        // Example: "Sign me up for the newsletter"
+                        //          "I agree to receive offers from partners"
+                        { regex: /(?:newsletter|marketing|promotion(?:al|s)|special\s*offers|partners|third[\s-]*part(?:y|ies)|personali[sz]ed\s*(?:ads|advertising)|share\s*my\s*(?:data|information)|(?:I\s*)?(?:agree|consent)\s*to\s*receive)/i, score: 0.8, rule: "preselection-en-consent" }
+                    ]);
                 },
-                function (node, nodeOld) {
-                    // Return true if a match is found in the current text of the element,
-                    // using a regular expression for the social proof pattern with German words.
-                    // The regular expression checks whether a number is followed by a combination of different keywords.
+                function detectPreselectionDe(node, nodeOld, nodeLive) {
+                    // Only checked options that the user has not changed themselves are examined.
+                    // Radio buttons are only examined in groups with a choice without the option.
                     // The previous state of the element is not used.
-                    // Example: "5 andere Kunden kauften auch diesen Artikel"
-                    //          "6 Käufer*innen haben folgende Produkte [mit 5 Sternen bewertet]"
-                    return /\d+\s*(?:andere)?\s*(?:Kunden?|Käufer|Besteller|Nutzer|Leute|Person(?:en)?)(?:(?:\s*\/\s*)?[_\-\*]?innen)?\s*(?:(?:kauften|bestellten|haben)\s*(?:auch|ebenfalls)?|(?:bewerteten|rezensierten))\s*(?:diese[ns]?|(?:den|die|das)?\s*folgenden?)\s*(?:Produkte?|Artikel)/i.test(node.innerText);
+                    // Example of such a choice: "Keine Versicherung", "Ohne Schutzbrief", "Nein, danke"
+                    const text = getPreselectedOptionText(node, nodeLive, /^\s*(?:kein(?:e|en)?|ohne|nein|verzichten|ich\s*möchte\s*kein(?:e|en)?)\b/i);
+                    if (!text) {
+                        return false;
+                    }
+                    return matchRules(text, "de", [
+                        // Example: "Versicherung für + 4,99 €"
+                        //          "Geschenkverpackung (2,50 Euro)"
+                        //          "Premium-Versand 1.299,00 €"
+                        // The amount is matched case-sensitively, so that e.g. "top 5" is not taken for a price.
+                        { regex: new RegExp(parsing.amountRegexSource), score: 0.9, rule: "preselection-de-price" },
+                        // Example: "Spende hinzufügen"
+                        //          "Schutzbrief"
+                        { regex: /\b(?:Versicherung|Schutzbrief|Garantie|Spende|Trinkgeld|Geschenkverpackung|Express|Premium|Abo(?:nnement)?|Mitgliedschaft)/i, score: 0.7, rule: "preselection-de-cost" },
+                        // Example: "Ich möchte den Newsletter erhalten"
+                        //          "Ich willige in die Weitergabe an Partner ein"
+                        { regex: /(?:Newsletter|Werbung|Angebote|Partner|Dritte|personalisierte|Weitergabe\s*meiner\s*Daten|(?:ich\s*)?(?:willige|stimme)\s*.{0,50}?ein)/i, score: 0.8, rule: "preselection-de-consent" }
+                    ]);
                 }
             ],
-            infoUrl: brw.i18n.getMessage("patternSocialProof_infoUrl"),
-            info: brw.i18n.getMessage("patternSocialProof_info"),
+            infoUrl: brw.i18n.getMessage("patternPreselection_infoUrl"),
+            info: brw.i18n.getMessage("patternPreselection_info"),
             languages: [
                 "en",
                 "de"
@@ -207,74 +1471,201 @@ export const patternConfig = {
         },
         {
             /**
-             * Forced Continuity Pattern (adapted to German web pages).
-             * The Forced Continuity pattern automatically renews free or low-cost trial subscriptions - but for a fee or at a higher price.
-             * The design trick is that the order form visually suggests that there is no charge and conceals the (automatic) follow-up costs.
+             * Trick Question Pattern.
+             * The label of an option is worded confusingly, e.g. with a double negative
+             * or so that checking the option means declining, which leads users to choose the opposite of their intention.
              */
-            name: brw.i18n.getMessage("patternForcedContinuity_name"),
-            className: "forced-continuity",
+            name: brw.i18n.getMessage("patternTrickQuestion_name"),
+            className: "trick-question",
             detectionFunctions: [
-                function (node, nodeOld) {
-                    // Return true if a match is found in the current text of the element,
-                    // using multiple regular expressions for the forced proof continuity with English words.
-                    // The regular expressions check if one of three combinations of a price specification
-                    // in Euro, Dollar or Pound and the specification of a month is present.
+                function detectTrickQuestionEn(node, nodeOld, nodeLive) {
+                    // Only the labels of options are examined, regardless of their state.
                     // The previous state of the element is not used.
-                    if (/(?:(?:€|EUR|GBP|£|\$|USD)\s*\d+(?:\.\d{2})?|\d+(?:\.\d{2})?\s*(?:euros?|€|EUR|GBP|£|pounds?(?:\s*sterling)?|\$|USD|dollars?))\s*(?:(?:(?:per|\/|a)\s*month)|(?:p|\/)m)\s*(?:after|from\s*(?:month|day)\s*\d+)/i.test(node.innerText)) {
-                        // Example: "$10.99/month after"
-                        //          "11 GBP a month from month 4"
-                        return true;
-                    }
-                    if (/(?:(?:€|EUR|GBP|£|\$|USD)\s*\d+(?:\.\d{2})?|\d+(?:\.\d{2})?\s*(?:euros?|€|EUR|GBP|£|pounds?(?:\s*sterling)?|\$|USD|dollars?))\s*(?:after\s*(?:the)?\s*\d+(?:th|nd|rd|th)?\s*(?:months?|days?)|from\s*(?:month|day)\s*\d+)/i.test(node.innerText)) {
-                        // Example: "$10.99 after 12 months"
-                        //          "11 GBP from month 4"
-                        return true;
-                    }
-                    if (/(?:after\s*that|then|afterwards|subsequently)\s*(?:(?:€|EUR|GBP|£|\$|USD)\s*\d+(?:\.\d{2})?|\d+(?:\.\d{2})?\s*(?:euros?|€|EUR|GBP|£|pounds?(?:\s*sterling)?|\$|USD|dollars?))\s*(?:(?:(?:per|\/|a)\s*month)|(?:p|\/)m)/i.test(node.innerText)) {
-                        // Example: "after that $23.99 per month"
-                        //          "then GBP 10pm"
-                        return true;
-                    }
-                    if (/after\s*(?:the)?\s*\d+(?:th|nd|rd|th)?\s*months?\s*(?:only|just)?\s*(?:(?:€|EUR|GBP|£|\$|USD)\s*\d+(?:\.\d{2})?|\d+(?:\.\d{2})?\s*(?:euros?|€|EUR|GBP|£|pounds?(?:\s*sterling)?|\$|USD|dollars?))/i.test(node.innerText)) {
-                        // Example: "after the 24th months only €23.99"
-                        //          "after 6 months $10"
-                        return true;
+                    const text = getLabelledOption(node, nodeLive) && getOptionLabelText(node);
+                    if (!text) {
+                        return false;
                     }
-                    // Return `false` if no regular expression matches.
-                    return false;
+                    return matchRules(text, "en", [
+                        // Example: "Uncheck this box if you do not want to receive offers"
+                        { regex: /\bun-?(?:check|tick|select|mark)\b[^.!?]{0,80}?\b(?:not|don['’]?t|never|no)\b/i, score: 0.9, rule: "trick-question-en-1" },
+                        // Example: "I do not wish to opt out of marketing emails"
+                        //          "Don't unsubscribe me"
+                        { regex: /\b(?:not|don['’]?t|do\s*not|never)\s+(?:\w+\s+){0,3}?(?:not|un(?:subscribe|check|tick|select)\w*|opt(?:ing)?[\s-]*out|without)\b/i, score: 0.9, rule: "trick-question-en-2" },
+                        // Example: "Tick this box if you don't want to receive our newsletter"
+                        { regex: /\b(?:check|tick|select|mark)\b[^.!?]{0,80}?\bif\s*you\s*(?:do\s*not|don['’]?t|would\s*not|wouldn['’]?t)\b/i, score: 0.8, rule: "trick-question-en-3" }
+                    ]);
                 },
-                function (node, nodeOld) {
-                    // Return true if a match is found in the current text of the element,
-                    // using multiple regular expressions for the forced proof continuity with German words.
-                    // The regular expressions check if one of three combinations of a price specification
-                    // in Euro and the specification of a month is present.
+                function detectTrickQuestionDe(node, nodeOld, nodeLive) {
+                    // Only the labels of options are examined, regardless of their state.
                     // The previous state of the element is not used.
-                    if (/\d+(?:,\d{2})?\s*(?:Euro|€)\s*(?:(?:pro|im|\/)\s*Monat)?\s*(?:ab\s*(?:dem)?\s*\d+\.\s*Monat|nach\s*\d+\s*(?:Monaten|Tagen)|nach\s*(?:einem|1)\s*Monat)/i.test(node.innerText)) {
-                        // Example: "10,99 Euro pro Monat ab dem 12. Monat"
-                        //          "11€ nach 30 Tagen"
-                        return true;
-                    }
-                    if (/(?:anschließend|danach)\s*\d+(?:,\d{2})?\s*(?:Euro|€)\s*(?:pro|im|\/)\s*Monat/i.test(node.innerText)) {
-                        // Example: "anschließend 23,99€ pro Monat"
-                        //          "danach 10 Euro/Monat"
-                        return true;
+                    const text = getLabelledOption(node, nodeLive) && getOptionLabelText(node);
+                    if (!text) {
+                        return false;
                     }
-                    if (/\d+(?:,\d{2})?\s*(?:Euro|€)\s*(?:pro|im|\/)\s*Monat\s*(?:anschließend|danach)/i.test(node.innerText)) {
-                        // Example: "23,99€ pro Monat anschließend"
-                        //          "10 Euro/Monat danach"
-                        return true;
+                    return matchRules(text, "de", [
+                        // Example: "Entfernen Sie das Häkchen, wenn Sie keine Werbung erhalten möchten"
+                        { regex: /(?:Häkchen\s*entfernen|entfernen\s*Sie\s*(?:das|den|die)\s*(?:Häkchen|Haken|Markierung)|abwählen|deaktivieren)[^.!?]{0,80}?\b(?:nicht|kein\w*)\b/i, score: 0.9, rule: "trick-question-de-1" },
+                        // Example: "Ich möchte nicht auf den Newsletter verzichten"
+                        // The negation must refer to the opt-out in the same clause, so that reassurances
+                        // such as "Keine Sorge, Sie können sich jederzeit abmelden" are not matched.
+                        { regex: /\b(?:nicht|kein\w*)\b(?!\s*(?:Sorge|Angst|Problem|Bedenken|Spam)\b)[^.!?,;:–—]{0,40}?\b(?:nicht|ab(?:bestellen|melden|wählen)|widersprechen|verzichten)\b/i, score: 0.9, rule: "trick-question-de-2" },
+                        // Example: "Kreuzen Sie an, falls Sie keine Angebote erhalten möchten"
+                        { regex: /(?:ankreuzen|anklicken|kreuzen\s*Sie|klicken\s*Sie|Häkchen\s*setzen|markieren\s*Sie|aktivieren\s*Sie)[^.!?]{0,80}?\b(?:falls|wenn)\s*Sie\b[^.!?]{0,40}?\b(?:nicht|kein\w*)\b/i, score: 0.8, rule: "trick-question-de-3" }
+                    ]);
+                }
+            ],
+            infoUrl: brw.i18n.getMessage("patternTrickQuestion_infoUrl"),
+            info: brw.i18n.getMessage("patternTrickQuestion_info"),
+            languages: [
+                "en",
+                "de"
+            ]
+        },
+        {
+            /**
+             * Consent Asymmetry Pattern.
+             * In a consent dialog, e.g. a cookie banner, the control for accepting is much more noticeable
+             * than the control for rejecting, which is smaller, paler, thinner or even hidden.
+             */
+            name: brw.i18n.getMessage("patternConsentAsymmetry_name"),
+            className: "consent-asymmetry",
+            detectionFunctions: [
+                function detectConsentAsymmetryEn(node, nodeOld, nodeLive) {
+                    // The computed styles of the controls on the page are compared.
+                    // The previous state of the element is not used.
+                    return detectConsentAsymmetry(node, nodeLive, "en", {
+                        // Example: "We use cookies to improve your experience."
+                        consent: /\b(?:cookies?|consent|privacy|personal\s*data)\b/i,
+                        // Example: "Accept all", "Allow cookies", "Got it"
+                        accept: /^(?:(?:I\s*)?accept|allow|agree|I\s*agree|ok(?:ay)?|got\s*it|yes)\b/i,
+                        // Example: "Reject all", "Only necessary cookies", "Decline"
+                        reject: /\b(?:reject|decline|deny|refuse|disagree|(?:only\s*)?(?:necessary|essential|required)\s*(?:cookies\s*)?only|only\s*(?:necessary|essential|required))\b/i
+                    });
+                },
+                function detectConsentAsymmetryDe(node, nodeOld, nodeLive) {
+                    // The computed styles of the controls on the page are compared.
+                    // The previous state of the element is not used.
+                    return detectConsentAsymmetry(node, nodeLive, "de", {
+                        // Example: "Wir verwenden Cookies, um Ihr Erlebnis zu verbessern."
+                        consent: /(?:Cookies?|Einwilligung|Zustimmung|Datenschutz|personenbezogene)/i,
+                        // Example: "Alle akzeptieren", "Zustimmen", "Einverstanden"
+                        accept: /(?:akzeptieren|zustimmen|annehmen|erlauben|zulassen|einverstanden|^ok(?:ay)?\b|^ja\b)/i,
+                        // Example: "Alle ablehnen", "Nur notwendige Cookies"
+                        reject: /(?:ablehnen|verweigern|widersprechen|nur\s*(?:notwendige|essenzielle|erforderliche|technisch\s*notwendige))/i
+                    });
+                }
+            ],
+            infoUrl: brw.i18n.getMessage("patternConsentAsymmetry_infoUrl"),
+            info: brw.i18n.getMessage("patternConsentAsymmetry_info"),
+            languages: [
+                "en",
+                "de"
+            ]
+        },
+        {
+            /**
+             * Activity Notification Pattern.
+             * Small notifications floating above the page report the supposed activity of other users,
+             * e.g. "Anna from Berlin just bought this item". They usually appear repeatedly for a short time.
+             * Besides the regular detection, the content script watches for such notifications during the whole visit
+             * (see `activityNotificationClassName`), since they often disappear before the page is examined.
+             */
+            name: brw.i18n.getMessage("patternActivityNotification_name"),
+            className: activityNotificationClassName,
+            detectionFunctions: [
+                function detectActivityNotificationEn(node, nodeOld, nodeLive) {
+                    // Only elements floating above the page with a short text are examined.
+                    // The previous state of the element is not used.
+                    if (!hasFixedPosition(nodeLive) || node.innerText.length > 300) {
+                        return false;
                     }
-                    if (/ab(?:\s*dem)?\s*\d+\.\s*Monat(?:\s*nur)?\s*\d+(?:,\d{2})?\s*(?:Euro|€)/i.test(node.innerText)) {
-                        // Example: "ab dem 24. Monat nur 23,99 Euro"
-                        //          "ab 6. Monat 9,99€"
-                        return true;
+                    return matchRules(node.innerText, "en", [
+                        // Example: "Anna from Berlin purchased Sneakers 3 minutes ago"
+                        { regex: /\b(?:bought|purchased|ordered|booked|signed\s*up|subscribed)\b.{0,60}?\b(?:\d+\s*(?:seconds?|minutes?|mins?|hours?)\s*ago|just\s*now)\b/i, score: 0.9, rule: "activity-notification-en-1" },
+                        // Example: "Someone just bought this item"
+                        { regex: /\b(?:just|recently)\s*(?:bought|purchased|ordered|booked|signed\s*up|subscribed)\b/i, score: 0.8, rule: "activity-notification-en-2" },
+                        // Example: "12 people are viewing this right now"
+                        { regex: /\b\d+\s*(?:people|persons|visitors|users|others|customers|shoppers)\s*(?:are\s*)?(?:currently\s*|now\s*|right\s*now\s*)?(?:viewing|looking|watching|browsing)\b/i, score: 0.8, rule: "activity-notification-en-3" }
+                    ]);
+                },
+                function detectActivityNotificationDe(node, nodeOld, nodeLive) {
+                    // Only elements floating above the page with a short text are examined.
+                    // The previous state of the element is not used.
+                    if (!hasFixedPosition(nodeLive) || node.innerText.length > 300) {
+                        return false;
                     }
-                    // Return `false` if no regular expression matches.
-                    return false;
+                    return matchRules(node.innerText, "de", [
+                        // Example: "Max hat Sneaker gekauft – vor 5 Minuten"
+                        { regex: /\b(?:gekauft|bestellt|gebucht|abonniert)\b.{0,60}?\b(?:vor\s*\d+\s*(?:Sekunden?|Minuten?|Min\.?|Stunden?|Std\.?)|gerade\s*eben)/i, score: 0.9, rule: "activity-notification-de-1" },
+                        // Example: "Anna aus Berlin hat gerade Sneaker gekauft"
+                        { regex: /\b(?:hat|haben)\s*(?:gerade|soeben|eben)\b.{0,60}?\b(?:gekauft|bestellt|gebucht|abonniert)\b/i, score: 0.8, rule: "activity-notification-de-2" },
+                        // Example: "12 Personen sehen sich das gerade an"
+                        { regex: /\b\d+\s*(?:Personen|Besucher|Nutzer|Kunden|andere)\s*(?:sehen|betrachten|schauen)\s*(?:sich\s*)?(?:\w+\s+){0,2}?(?:gerade|aktuell|momentan|jetzt)\b/i, score: 0.8, rule: "activity-notification-de-3" }
+                    ]);
+                }
+            ],
+            infoUrl: brw.i18n.getMessage("patternActivityNotification_infoUrl"),
+            info: brw.i18n.getMessage("patternActivityNotification_info"),
+            languages: [
+                "en",
+                "de"
+            ]
+        },
+        {
+            /**
+             * Fake Discount Pattern.
+             * A crossed-out or recommended reference price makes the actual price appear as a bargain,
+             * although the reference price is implausibly high or was never charged.
+             * This is revealed by comparing the prices over repeated visits of the product.
+             */
+            name: brw.i18n.getMessage("patternFakeDiscount_name"),
+            className: "fake-discount",
+            detectionFunctions: [
+                function detectFakeDiscountEn(node, nodeOld, nodeLive) {
+                    // The previous state of the element is not used.
+                    // Example: "Was $1,299.00 Now $999"
+                    //          "RRP: $49.99"
+                    return detectFakeDiscount(node, nodeLive, "en", /\b(?:was|before|previously|regular(?:ly)?(?:\s*price)?|list\s*price|original(?:\s*price)?|RRP|MSRP|compare\s*at|instead\s*of)/i);
+                },
+                function detectFakeDiscountDe(node, nodeOld, nodeLive) {
+                    // The previous state of the element is not used.
+                    // Example: "statt 19,99 € jetzt 9,99 €"
+                    //          "UVP: 1.299,00 EUR"
+                    return detectFakeDiscount(node, nodeLive, "de", /(?:statt|\bUVP|unverbindliche\s*Preisempfehlung|vorher|bisher|ursprünglich(?:er\s*Preis)?|regulär(?:er\s*Preis)?|Streichpreis)/i);
+                }
+            ],
+            infoUrl: brw.i18n.getMessage("patternFakeDiscount_infoUrl"),
+            info: brw.i18n.getMessage("patternFakeDiscount_info"),
+            languages: [
+                "en",
+                "de"
+            ]
+        },
+        {
+            /**
+             * Hidden Costs Pattern.
+             * Fees are only added in a later step of a checkout, so that the final total is higher
+             * than the total shown at the beginning (drip pricing).
+             * The steps of the checkout are followed across the pages by the background script.
+             */
+            name: brw.i18n.getMessage("patternHiddenCosts_name"),
+            className: "hidden-costs",
+            detectionFunctions: [
+                function detectHiddenCostsEn(node, nodeOld) {
+                    // The fee is compared with the previous steps of the checkout.
+                    // The previous state of the element is not used.
+                    // Example: "Service fee: $4.99"
+                    return detectHiddenCosts(node, "en");
+                },
+                function detectHiddenCostsDe(node, nodeOld) {
+                    // The fee is compared with the previous steps of the checkout.
+                    // The previous state of the element is not used.
+                    // Example: "Servicegebühr 4,99 €"
+                    return detectHiddenCosts(node, "de");
                 }
             ],
-            infoUrl: brw.i18n.getMessage("patternForcedContinuity_infoUrl"),
-            info: brw.i18n.getMessage("patternForcedContinuity_info"),
+            infoUrl: brw.i18n.getMessage("patternHiddenCosts_infoUrl"),
+            info: brw.i18n.getMessage("patternHiddenCosts_info"),
             languages: [
                 "en",
                 "de"
@@ -284,66 +1675,430 @@ export const patternConfig = {
 }
 
 /**
- * Checks if the `patternConfig` is valid.
- * @returns {boolean} `true` if the `patternConfig` is valid, `false` otherwise.
+ * @typedef {object} ConfigError
+ * An error in the configuration of a pattern, due to which the pattern is not part of the `patternConfig`.
+ * @property {string} pattern - The name of the rejected pattern, or its class name or position (e.g. `#3`) if it has no name.
+ * @property {("builtin"|"pack"|"custom")} source - Whether the pattern is built into the extension,
+ * comes from an imported rule pack or was defined by the user.
+ * @property {string} field - The path of the invalid field (see `FieldError`).
+ * @property {("missing"|"type"|"value"|"duplicate"|"placeholder"|"syntax")} reason - Why the field is invalid (see `FieldError`).
+ */
+
+/**
+ * Determines how a pattern or pattern rule is referred to in a `ConfigError`.
+ * @param {object} pattern The pattern of the `patternConfig` or the pattern rule.
+ * @param {number} idx The position of the pattern in its list.
+ * @returns {string} The name of the pattern, or its class name or position if it has no name.
+ */
+function getConfigErrorPatternLabel(pattern, idx) {
+    for (const label of [pattern?.name, pattern?.nameKey && brw.i18n.getMessage(pattern.nameKey), pattern?.className]) {
+        if (label && typeof label === "string") {
+            return label;
+        }
+    }
+    return `#${idx + 1}`;
+}
+
+/**
+ * Checks a pattern of the `patternConfig` and collects all invalid fields.
+ * @param {object} pattern The pattern to be checked.
+ * @returns {Array<FieldError>} The invalid fields of the pattern, or an empty array if the pattern is valid.
+ */
+function getPatternErrors(pattern) {
+    // Ensure that the pattern is an object. Its fields cannot be checked otherwise.
+    if (!pattern || typeof pattern !== "object") {
+        return [{ field: "", reason: "type" }];
+    }
+    const errors = [];
+    // Ensure that the name, the class name, the info URL and the info/explanation are non-empty strings.
+    for (const field of ["name", "className", "infoUrl", "info"]) {
+        if (!pattern[field] || typeof pattern[field] !== "string") {
+            errors.push({ field: field, reason: getMissingOrTypeReason(pattern[field]) });
+        }
+    }
+    // Ensure that the class name is a valid class name (see `classNameRegex`).
+    if (typeof pattern.className === "string" && pattern.className && !classNameRegex.test(pattern.className)) {
+        errors.push({ field: "className", reason: "value" });
+    }
+    // Ensure that the detection functions are a non-empty array.
+    if (!Array.isArray(pattern.detectionFunctions) || pattern.detectionFunctions.length <= 0) {
+        errors.push({ field: "detectionFunctions", reason: Array.isArray(pattern.detectionFunctions) ? "missing" : getMissingOrTypeReason(pattern.detectionFunctions) });
+    } else {
+        // Check every single configured detection function for validity.
+        pattern.detectionFunctions.forEach((detectionFunc, idx) => {
+            // Ensure that the detection function is a function with two or three arguments.
+            if (typeof detectionFunc !== "function") {
+                errors.push({ field: `detectionFunctions[${idx}]`, reason: "type" });
+            } else if (detectionFunc.length < 2 || detectionFunc.length > 3) {
+                errors.push({ field: `detectionFunctions[${idx}]`, reason: "value" });
+            }
+        });
+    }
+    // Ensure that the languages are a non-empty array.
+    if (!Array.isArray(pattern.languages) || pattern.languages.length <= 0) {
+        errors.push({ field: "languages", reason: Array.isArray(pattern.languages) ? "missing" : getMissingOrTypeReason(pattern.languages) });
+    } else {
+        // Check every single language for being a non-empty string.
+        pattern.languages.forEach((language, idx) => {
+            if (!language || typeof language !== "string") {
+                errors.push({ field: `languages[${idx}]`, reason: getMissingOrTypeReason(language) });
+            }
+        });
+    }
+    return errors;
+}
+
+/**
+ * Checks the built-in patterns of the `patternConfig` and removes the invalid ones,
+ * so that only these patterns are not highlighted instead of the whole extension.
+ * Built-in rules that do not conform to the schema of `PatternRule` have already been skipped
+ * when compiling the `patternConfig` and are only reported.
+ * Of several patterns with the same name or class name, only the first one is kept.
+ * @returns {Array<ConfigError>} The errors of the rejected patterns, or an empty array if all patterns are valid.
  */
 function validatePatternConfig() {
-    // Create an array with the names of the configured patterns.
-    let names = patternConfig.patterns.map(p => p.name);
-    // Check if there are duplicate names.
-    if ((new Set(names)).size !== names.length) {
-        // If there are duplicate names, the configuration is invalid.
-        return false;
+    const errors = [];
+    // Report the declarative rules of the built-in patterns that do not conform to the schema.
+    if (!Array.isArray(patternConfig.rules)) {
+        errors.push({ pattern: "rules/builtin.json", source: "builtin", field: "rules", reason: "type" });
+    } else {
+        patternConfig.rules.forEach((rule, idx) => {
+            for (const error of getPatternRuleErrors(rule)) {
+                errors.push({ pattern: getConfigErrorPatternLabel(rule, idx), source: "builtin", ...error });
+            }
+        });
     }
-    // Check every single configured pattern for validity.
-    for (let pattern of patternConfig.patterns) {
-        // Ensure that the name is a non-empty string.
-        if (!pattern.name || typeof pattern.name !== "string") {
-            return false;
+    // Check every single configured pattern for validity and keep only the valid ones.
+    const names = new Set();
+    const classNames = new Set();
+    patternConfig.patterns = patternConfig.patterns.filter((pattern, idx) => {
+        const patternErrors = getPatternErrors(pattern);
+        // Patterns are identified by their names in the results and by their class names on the page.
+        if (patternErrors.length === 0) {
+            if (names.has(pattern.name)) {
+                patternErrors.push({ field: "name", reason: "duplicate" });
+            }
+            if (classNames.has(pattern.className)) {
+                patternErrors.push({ field: "className", reason: "duplicate" });
+            }
         }
-        // Ensure that the class name is a non-empty string.
-        if (!pattern.className || typeof pattern.className !== "string") {
-            return false;
+        for (const error of patternErrors) {
+            errors.push({ pattern: getConfigErrorPatternLabel(pattern, idx), source: "builtin", ...error });
         }
-        // Ensure that the detection functions are a non-empty array.
-        if (!Array.isArray(pattern.detectionFunctions) || pattern.detectionFunctions.length <= 0) {
+        if (patternErrors.length > 0) {
             return false;
         }
-        // Check every single configured detection function for validity.
-        for (let detectionFunc of pattern.detectionFunctions) {
-            // Ensure that the detection function is a function with two arguments.
-            if (typeof detectionFunc !== "function" || detectionFunc.length !== 2) {
-                return false;
-            }
+        names.add(pattern.name);
+        classNames.add(pattern.className);
+        return true;
+    });
+    return errors;
+}
+
+/**
+ * The errors of the built-in patterns that have been removed from the `patternConfig` (see `validatePatternConfig`).
+ * @constant
+ * @type {Array<ConfigError>}
+ */
+const builtinPatternErrors = validatePatternConfig();
+
+/**
+ * @type {boolean} `true` if at least one built-in pattern of the `patternConfig` is valid, `false` otherwise.
+ * Invalid patterns are removed from the `patternConfig`, the extension is only disabled if none is left.
+ */
+export const patternConfigIsValid = patternConfig.patterns.length > 0;
+
+/**
+ * The errors of the patterns of rule packs that have been skipped by `setRulePacks`.
+ * @type {Array<ConfigError>}
+ */
+let rulePackErrors = [];
+
+/**
+ * The errors of the custom patterns that have been skipped by `setCustomPatterns`.
+ * @type {Array<ConfigError>}
+ */
+let customPatternErrors = [];
+
+/**
+ * Returns the errors of all patterns that have been rejected, because their configuration is invalid.
+ * @returns {Array<ConfigError>} The errors of the built-in patterns, followed by those of the patterns of rule packs
+ * and those of the custom patterns.
+ */
+export function getPatternConfigErrors() {
+    return [...builtinPatternErrors, ...rulePackErrors, ...customPatternErrors];
+}
+
+/**
+ * Composes the localized description of an error in the configuration of a pattern,
+ * e.g. "Countdown: languages.en[0].regex – cannot be compiled".
+ * @param {ConfigError} error The error of the rejected pattern.
+ * @returns {string} The description of the error.
+ */
+export function formatPatternConfigError(error) {
+    return brw.i18n.getMessage("errorPatternConfig", [
+        error.pattern,
+        error.field || "–",
+        brw.i18n.getMessage(`errorPatternConfigReason_${error.reason}`)
+    ]);
+}
+
+/**
+ * Replaces the custom patterns in the `patternConfig` with the enabled patterns of a list of custom patterns.
+ * Custom patterns that are invalid or have the same name as another pattern are skipped,
+ * so that they cannot invalidate the `patternConfig`. Their errors are returned by `getPatternConfigErrors`.
+ * @param {Array<CustomPattern>} customPatterns The custom patterns defined by the user (see `rules.js`).
+ */
+export function setCustomPatterns(customPatterns) {
+    // Remove the previous custom patterns.
+    patternConfig.patterns = patternConfig.patterns.filter(pattern => !pattern.custom);
+    customPatternErrors = [];
+    for (const [idx, customPattern] of customPatterns.entries()) {
+        if (!customPattern.enabled) {
+            continue;
         }
-        // Ensure that the info URL is a non-empty string.
-        if (!pattern.infoUrl || typeof pattern.infoUrl !== "string") {
-            return false;
+        const rule = customRules.customPatternToRule(customPattern);
+        const errors = getPatternRuleErrors(rule);
+        if (errors.length === 0 && patternConfig.patterns.some(pattern => pattern.name === rule.name)) {
+            errors.push({ field: "name", reason: "duplicate" });
         }
-        // Ensure that the info/explanation is a non-empty string.
-        if (!pattern.info || typeof pattern.info !== "string") {
-            return false;
+        if (errors.length > 0) {
+            customPatternErrors.push(...errors.map(error => ({ pattern: getConfigErrorPatternLabel(rule, idx), source: "custom", ...error })));
+            continue;
         }
-        // Ensure that the languages are a non-empty array.
-        if (!Array.isArray(pattern.languages) || pattern.languages.length <= 0) {
-            return false;
+        patternConfig.patterns.push({ ...compilePatternRule(rule), custom: true });
+    }
+}
+
+// Add the custom patterns stored by the user to the `patternConfig`.
+setCustomPatterns(await customRules.getCustomPatterns());
+
+/**
+ * Replaces the patterns of rule packs in the `patternConfig` with the patterns of the active versions
+ * of the enabled packs of a list of imported rule packs.
+ * Patterns that are invalid or have the same name as another pattern are skipped,
+ * so that they cannot invalidate the `patternConfig`. Their errors are returned by `getPatternConfigErrors`.
+ * @param {Array<StoredRulePack>} rulePacks The imported rule packs (see `rules.js`).
+ */
+export function setRulePacks(rulePacks) {
+    // Remove the patterns of the previous rule packs.
+    patternConfig.patterns = patternConfig.patterns.filter(pattern => !pattern.pack);
+    rulePackErrors = [];
+    for (const rulePack of rulePacks) {
+        const activeVersion = customRules.getActiveRulePackVersion(rulePack);
+        if (!rulePack.enabled || !activeVersion) {
+            continue;
         }
-        // Check every single language for being a non-empty string.
-        for (let language of pattern.languages) {
-            // Ensure that the language is a non-empty string.
-            if (!language || typeof language !== "string") {
-                return false;
+        const pack = { id: activeVersion.id, name: activeVersion.name, version: activeVersion.version };
+        for (const [idx, rule] of customRules.rulePackToRules(activeVersion).entries()) {
+            const errors = getPatternRuleErrors(rule);
+            if (errors.length === 0) {
+                for (const field of ["name", "className"]) {
+                    if (patternConfig.patterns.some(pattern => pattern[field] === rule[field])) {
+                        errors.push({ field: field, reason: "duplicate" });
+                    }
+                }
+            }
+            if (errors.length > 0) {
+                const label = `${pack.name} ${pack.version}: ${getConfigErrorPatternLabel(rule, idx)}`;
+                rulePackErrors.push(...errors.map(error => ({ pattern: label, source: "pack", ...error })));
+                continue;
             }
+            patternConfig.patterns.push({ ...compilePatternRule(rule), pack: pack });
         }
     }
-    // If all checks have been passed successfully, the configuration is valid and `true` is returned.
-    return true;
+}
+
+// Add the patterns of the imported rule packs to the `patternConfig`.
+setRulePacks(await customRules.getRulePacks());
+
+/**
+ * The ISO 639-1 code of the language of the page, whose detection functions are run (see `setDetectionLanguage`).
+ * Is `null` if the language of the page is unknown. In this case, the detection functions of all languages are run.
+ * @type {(string|null)}
+ */
+let detectionLanguage = null;
+
+/**
+ * Sets the language of the page, so that only the detection functions for this language
+ * and the language-independent detection functions are run.
+ * @param {(string|null)} language The ISO 639-1 code of the language, or `null` to run the functions of all languages.
+ */
+export function setDetectionLanguage(language) {
+    detectionLanguage = language;
+}
+
+/**
+ * Determines the language of a detection function of a pattern from the suffix of its name,
+ * e.g. `de` for `detectConfirmshamingDe`. Only the languages of the pattern are considered.
+ * @param {object} pattern The pattern of the `patternConfig`.
+ * @param {Function} func A detection function of the pattern.
+ * @returns {(string|null)} The ISO 639-1 code of the language, or `null` if the function is language-independent.
+ */
+export function getDetectionFunctionLanguage(pattern, func) {
+    return pattern.languages.find(
+        language => func.name.endsWith(language.charAt(0).toUpperCase() + language.slice(1))
+    ) ?? null;
+}
+
+/**
+ * Checks if a detection function of a pattern is run on the page, i.e. if it is language-independent,
+ * belongs to the language set with `setDetectionLanguage` or the language of the page is unknown.
+ * @param {object} pattern The pattern of the `patternConfig`.
+ * @param {Function} func A detection function of the pattern.
+ * @returns {boolean} `true` if the function is run, `false` otherwise.
+ */
+export function detectionFunctionMatchesLanguage(pattern, func) {
+    if (detectionLanguage === null) {
+        return true;
+    }
+    const language = getDetectionFunctionLanguage(pattern, func);
+    return language === null || language === detectionLanguage;
+}
+
+/**
+ * Checks if there are detection functions for a language, i.e. if any pattern supports the language.
+ * @param {string} language The ISO 639-1 code of the language.
+ * @returns {boolean} `true` if the language is supported, `false` otherwise.
+ */
+export function languageIsSupported(language) {
+    return patternConfig.patterns.some(pattern => pattern.languages.includes(language));
+}
+
+/**
+ * The line styles with which the elements of a pattern can be outlined in the border mode.
+ * @constant
+ * @type {Array<string>}
+ */
+export const highlightOutlineStyles = ["solid", "dashed", "dotted", "double"];
+
+/**
+ * The minimum and maximum thickness in pixels of the outline of the elements of a pattern.
+ * @constant
+ * @type {{min: number, max: number}}
+ */
+export const highlightThicknessRange = { min: 1, max: 8 };
+
+/**
+ * @typedef {object} HighlightStyle
+ * The style with which the detected elements and matched texts of a pattern are highlighted.
+ * @property {string} color - The color in the form `#rrggbb`.
+ * @property {string} outlineStyle - The line style of the outline in the border mode (see `highlightOutlineStyles`).
+ * The matched texts in the text mode are underlined with this style.
+ * @property {number} thickness - The thickness of the outline and of the underline in pixels.
+ * @property {boolean} tint - Whether the detected elements in the border mode are tinted with the color
+ * and the matched texts in the text mode are highlighted with a lighter version of the color.
+ */
+
+/**
+ * The highlight style of the patterns without an own color, which corresponds to `stylesheets/style.css`.
+ * @constant
+ * @type {HighlightStyle}
+ */
+export const defaultHighlightStyle = Object.freeze({ color: "#000000", outlineStyle: "solid", thickness: 2, tint: false });
+
+/**
+ * The presets of highlight styles that can be applied to all patterns at once.
+ * Both color-blind-safe palettes are taken from Okabe & Ito (https://jfly.uni-koeln.de/color/)
+ * and Paul Tol (https://personal.sron.nl/~pault/), without black, which would hide the matched texts in the text mode.
+ * Since a palette has fewer colors than there are patterns,
+ * the patterns that repeat a color get another line style, so that they can be told apart without the colors.
+ * @constant
+ * @type {Object.<string, {colors: Array<string>, thickness: number}>}
+ */
+export const highlightPresets = {
+    okabeIto: {
+        colors: ["#e69f00", "#56b4e9", "#009e73", "#f0e442", "#0072b2", "#d55e00", "#cc79a7"],
+        thickness: 3
+    },
+    tolBright: {
+        colors: ["#4477aa", "#ee6677", "#228833", "#ccbb44", "#66ccee", "#aa3377", "#bbbbbb"],
+        thickness: 3
+    }
+};
+
+/**
+ * Creates the highlight styles of all patterns of the `patternConfig` according to a preset.
+ * The patterns get the colors of the palette in turn and the line style changes after each round through the palette.
+ * @param {string} presetName The name of the preset (see `highlightPresets`).
+ * @returns {Object.<string, HighlightStyle>} The highlight styles with the class names of the patterns as keys.
+ */
+export function createPresetHighlightStyles(presetName) {
+    const preset = highlightPresets[presetName];
+    return Object.fromEntries(patternConfig.patterns.map((pattern, idx) => [pattern.className, {
+        color: preset.colors[idx % preset.colors.length],
+        outlineStyle: highlightOutlineStyles[Math.floor(idx / preset.colors.length) % highlightOutlineStyles.length],
+        thickness: preset.thickness,
+        tint: false
+    }]));
+}
+
+/**
+ * Determines the highlight style of a pattern from the styles set by the user and the color of the pattern.
+ * Invalid values of the stored styles are replaced by the defaults, since they are inserted into CSS rules.
+ * @param {object} pattern The pattern of the `patternConfig`.
+ * @param {Object.<string, HighlightStyle>} patternStyles The highlight styles set by the user
+ * with the class names of the patterns as keys (see `defaultSettings`).
+ * @returns {(HighlightStyle|null)} The highlight style, or `null` if the pattern has neither an own color
+ * nor a style set by the user and is therefore highlighted by the rules in `stylesheets/style.css`.
+ */
+export function getPatternHighlightStyle(pattern, patternStyles) {
+    const patternStyle = patternStyles?.[pattern.className];
+    if (!patternStyle && !pattern.color) {
+        return null;
+    }
+    const thickness = Math.round(patternStyle?.thickness);
+    return {
+        color: /^#[0-9a-f]{6}$/i.test(patternStyle?.color) ? patternStyle.color : (pattern.color ?? defaultHighlightStyle.color),
+        outlineStyle: highlightOutlineStyles.includes(patternStyle?.outlineStyle) ? patternStyle.outlineStyle : defaultHighlightStyle.outlineStyle,
+        thickness: thickness >= highlightThicknessRange.min && thickness <= highlightThicknessRange.max ? thickness : defaultHighlightStyle.thickness,
+        tint: patternStyle?.tint === true
+    };
+}
+
+/**
+ * Creates the inline CSS of a color swatch that shows the highlight style of a pattern like an outlined element.
+ * @param {(HighlightStyle|null)} style The highlight style of the pattern (see `getPatternHighlightStyle`).
+ * @returns {string} The inline CSS of the swatch.
+ */
+export function getHighlightSwatchStyle(style) {
+    style = style ?? defaultHighlightStyle;
+    // The outline of the small swatch is limited in thickness, so that the tint remains visible.
+    return `border: ${Math.min(style.thickness, 3)}px ${style.outlineStyle} ${style.color}; ` +
+        `background-color: ${style.tint ? style.color + "40" : "transparent"};`;
 }
 
 /**
- * @type {boolean} `true` if the `patternConfig` is valid, `false` otherwise.
+ * Creates the CSS rules that highlight the elements and matched texts of the patterns
+ * with an own color or a highlight style set by the user (see `getPatternHighlightStyle`).
+ * The detected elements of a pattern are selected by the class of the pattern, which consists of the
+ * `extensionClassPrefix` and the class name of the pattern.
+ * The matched texts of these patterns are registered as separate highlights in the CSS Custom Highlight API,
+ * whose names consist of the `textMatchClassName` and the class name of the pattern.
+ * The same name is used as additional class for the overlays that replace the highlights.
+ * The other patterns are highlighted by the rules in `stylesheets/style.css`.
+ * @param {Object.<string, HighlightStyle>} [patternStyles={}] The highlight styles set by the user.
+ * @returns {string} The CSS rules.
  */
-export const patternConfigIsValid = validatePatternConfig();
+export function getPatternHighlightStyles(patternStyles = {}) {
+    return patternConfig.patterns.map(pattern => {
+        const style = getPatternHighlightStyle(pattern, patternStyles);
+        if (!style) {
+            return "";
+        }
+        // The class names are escaped, even though they are validated, since they are inserted into the stylesheet of the page.
+        const patternClassName = CSS.escape(extensionClassPrefix + pattern.className);
+        const textMatchName = CSS.escape(`${textMatchClassName}-${pattern.className}`);
+        // Matched texts are highlighted with a transparent version of the color, if the pattern is tinted.
+        const textBackground = style.tint ? style.color + "59" : style.color;
+        const textDecoration = `underline ${style.outlineStyle} ${style.color} ${style.thickness}px`;
+        return `.${patternDetectedClassName}.${highlightBorderClassName}.${patternClassName} { ` +
+            `border: ${style.thickness}px ${style.outlineStyle} ${style.color} !important;` +
+            (style.tint ? ` background-color: ${style.color}33 !important;` : "") + " }\n" +
+            `::highlight(${textMatchName}) { background-color: ${textBackground}; text-decoration: ${textDecoration}; }\n` +
+            `.${textMatchClassName}.${textMatchName} { background-color: ${textBackground}; }`;
+    }).filter(rules => rules).join("\n");
+}
 
 /**
  * Prefix for all CSS classes that are added to elements on websites by the extension.
@@ -353,17 +2108,58 @@ export const extensionClassPrefix = "__ph__";
 
 /**
  * The class that is added to elements detected as patterns.
- * Elements with this class get a black border from the CSS styles.
  * @constant
  */
 export const patternDetectedClassName = extensionClassPrefix + "pattern-detected";
 
+/**
+ * The class that is added to elements detected as patterns that are highlighted as a whole.
+ * Elements with this class and the `patternDetectedClassName` get a black border from the CSS styles.
+ * @constant
+ */
+export const highlightBorderClassName = extensionClassPrefix + "highlight-border";
+
+/**
+ * The name of the highlight for the matched texts of detected patterns in the CSS Custom Highlight API.
+ * Also used as class for the overlays that replace the highlight in browsers without support for the API.
+ * @constant
+ */
+export const textMatchClassName = extensionClassPrefix + "text-match";
+
 /**
  * A class for the elements created as shadows for pattern elements
  * for displaying individual elements using the popup.
  */
 export const currentPatternClassName = extensionClassPrefix + "current-pattern";
 
+/**
+ * A class for the stylesheet elements that are added by the extension to open shadow roots,
+ * since the stylesheets of the extension do not apply within them.
+ * @constant
+ */
+export const stylesheetClassName = extensionClassPrefix + "stylesheet";
+
+/**
+ * A class for the style elements that are added by the extension to the page and to open shadow roots
+ * to highlight the patterns with their own color (see `getPatternHighlightStyles`).
+ * @constant
+ */
+export const patternStylesClassName = extensionClassPrefix + "pattern-styles";
+
+/**
+ * CSS selector for the elements that represent options which can be switched on and off by the user,
+ * i.e. checkboxes, radio buttons and toggle switches.
+ * @constant
+ */
+export const toggleElementSelector = "input[type=checkbox], input[type=radio], [role=checkbox], [role=switch], [role=radio]";
+
+/**
+ * A class for the options (see `toggleElementSelector`) that the user has changed themselves.
+ * Such options are not detected as preselected.
+ * @constant
+ */
+export const userChangedClassName = extensionClassPrefix + "user-changed";
+
 /**
  * A list of HTML tags that should be ignored during pattern detection.
  * The elements with these tags are removed from the DOM copy.
@@ -12,6 +12,100 @@ const brw = chrome;
  */
 let constants;
 
+/**
+ * This variable will be dynamically populated with the functions of the settings module.
+ * Since the import must be dynamic, the variable cannot be declared as a constant.
+ * @type {object} A module namespace object
+ */
+let settings;
+
+/**
+ * This variable will be dynamically populated with the functions of the observation history module.
+ * Since the import must be dynamic, the variable cannot be declared as a constant.
+ * @type {object} A module namespace object
+ */
+let observationHistory;
+
+/**
+ * This variable will be dynamically populated with the functions of the checkout module.
+ * Since the import must be dynamic, the variable cannot be declared as a constant.
+ * @type {object} A module namespace object
+ */
+let checkout;
+
+/**
+ * The minimum confidence score that a detection must reach. Detections with a lower score are ignored.
+ * Is loaded from the settings at the start and updated when the setting is changed.
+ * @type {number}
+ */
+let confidenceThreshold;
+
+/**
+ * The class names of the patterns that the user has disabled. These patterns are not detected.
+ * Is loaded from the settings at the start and updated when the setting is changed.
+ * @type {Array<string>}
+ */
+let disabledPatterns = [];
+
+/**
+ * The language of the page, whose detection functions are run, and how it was determined (see `detectPageLanguage`).
+ * The language is `null` if it could not be determined. In this case, the detection functions of all languages are run.
+ * @type {{language: (string|null), source: ("text"|"html"|null)}}
+ */
+let pageLanguage = { language: null, source: null };
+
+/**
+ * The maximum number of characters of the page text from which the language of the page is detected.
+ * @constant
+ * @type {number}
+ */
+const languageSampleLength = 5000;
+
+/**
+ * The detection results for the elements detected as patterns, with the pattern highlighter IDs as keys.
+ * Since an element can represent several patterns, each value is an object
+ * with the class names of the detected patterns as keys.
+ * @constant
+ * @type {Map<string, Object.<string, DetectionResult>>}
+ */
+const detectionResults = new Map();
+
+/**
+ * The highlight styles set by the user for the patterns, with the class names of the patterns as keys (see `defaultSettings`).
+ * Is loaded from the settings at the start and updated when the setting is changed.
+ * @type {Object.<string, object>}
+ */
+let patternStyles = {};
+
+/**
+ * The mode how detected patterns are highlighted on the page (see `defaultSettings`).
+ * Is loaded from the settings at the start and updated when the setting is changed.
+ * @type {("text"|"border")}
+ */
+let highlightMode;
+
+/**
+ * The ranges of the matched texts of the detected patterns that are currently highlighted on the page,
+ * together with the class names of the patterns.
+ * @type {Array<{range: Range, className: string}>}
+ */
+let textMatchRanges = [];
+
+/**
+ * The total and the fees shown on the page (see `getCheckoutSummary`), or `null` if they have not been determined yet.
+ * Since all elements of the page are examined for them, they are only determined again on an examination of the entire page
+ * or if a changed part of the page contains an amount.
+ * @type {({total: (object|null), fees: Array<object>}|null)}
+ */
+let checkoutSummary = null;
+
+/**
+ * A flag that indicates that an examination of the entire page was requested while the pattern highlighting
+ * was in progress, e.g. because a setting has been changed. The examination is run as soon as the current one is finished.
+ * @type {boolean}
+ */
+let fullRunRequested = false;
+
 // Initialize the extension.
 initPatternHighlighter();
 
@@ -31,23 +125,52 @@ async function initPatternHighlighter(){
     // Initialize the extension in the tab if it should be activated.
     if (activationState.isEnabled === true) {
 
-        // Dynamically import the constants from the module.
+        // Dynamically import the constants and the settings from the modules.
         constants = await import(await brw.runtime.getURL("scripts/constants.js"));
+        settings = await import(await brw.runtime.getURL("scripts/settings.js"));
+        observationHistory = await import(await brw.runtime.getURL("scripts/history.js"));
+        checkout = await import(await brw.runtime.getURL("scripts/checkout.js"));
 
         // Check if the pattern configuration is valid.
         if (!constants.patternConfigIsValid) {
-            // If the configuration is not valid, issue an error message,
+            // If no pattern of the configuration is valid, issue an error message,
             // do not start pattern highlighting, and exit.
             console.error(brw.i18n.getMessage("errorInvalidConfig"));
             return;
         }
+        // Issue a warning for each pattern that has been rejected due to an invalid configuration.
+        // The other patterns are highlighted nevertheless.
+        logPatternConfigErrors();
 
         // Print a message that the pattern highlighter has started.
         console.log(brw.i18n.getMessage("infoExtensionStarted"));
 
+        // Load the minimum confidence score for detections and the highlighting mode.
+        confidenceThreshold = await settings.getSetting("confidenceThreshold");
+        highlightMode = await settings.getSetting("highlightMode");
+        // Load the patterns that the user has disabled.
+        disabledPatterns = await settings.getSetting("disabledPatterns");
+        // Load the highlight styles that the user has set for the patterns.
+        patternStyles = await settings.getSetting("patternStyles");
+
+        // Add the styles for the patterns that are highlighted with their own color or style.
+        updatePatternStyles(document.head ?? document.documentElement);
+
+        // Determine the language of the page, so that only the detection functions for this language are run.
+        pageLanguage = await detectPageLanguage();
+        constants.setDetectionLanguage(pageLanguage.language);
+
+        // Load the observations from previous visits of the site, which some detection functions compare with.
+        await observationHistory.loadHistory(location.hostname);
+        // Load the steps of a checkout on previous pages in the tab, which the hidden costs are compared with.
+        await checkout.loadCheckoutFlow();
+
         // Run the initial pattern check and highlighting.
         await patternHighlighting();
 
+        // Watch for activity notifications during the whole visit of the page.
+        notificationObserver.observe(document.body, { subtree: true, childList: true });
+
         // Listen for messages from the popup.
         brw.runtime.onMessage.addListener(
             function (message, sender, sendResponse) {
@@ -67,113 +190,588 @@ async function initPatternHighlighter(){
                 }
             }
         );
+
+        // Listen for changes of the settings.
+        brw.storage.onChanged.addListener(
+            function (changes, areaName) {
+                // If the minimum confidence score has been changed, run the pattern checking and highlighting again.
+                if ("confidenceThreshold" in changes) {
+                    confidenceThreshold = changes.confidenceThreshold.newValue ?? settings.defaultSettings.confidenceThreshold;
+                    patternHighlighting();
+                }
+                // If the highlighting mode has been changed, run the pattern checking and highlighting again,
+                // which also renews the highlighting.
+                if ("highlightMode" in changes) {
+                    highlightMode = changes.highlightMode.newValue ?? settings.defaultSettings.highlightMode;
+                    patternHighlighting();
+                }
+                // If patterns have been disabled or enabled, run the pattern checking and highlighting again.
+                if ("disabledPatterns" in changes) {
+                    disabledPatterns = changes.disabledPatterns.newValue ?? settings.defaultSettings.disabledPatterns;
+                    patternHighlighting();
+                }
+                // If the highlight styles of the patterns have been changed, renew the styles.
+                if ("patternStyles" in changes) {
+                    patternStyles = changes.patternStyles.newValue ?? settings.defaultSettings.patternStyles;
+                    for (const root of [document.head ?? document.documentElement, ...getConnectedShadowRoots()]) {
+                        updatePatternStyles(root);
+                    }
+                }
+                // If the custom patterns have been changed, replace them in the pattern configuration,
+                // renew their styles and run the pattern checking and highlighting again.
+                if (areaName === "local" && "customPatterns" in changes) {
+                    constants.setCustomPatterns(changes.customPatterns.newValue ?? []);
+                    logPatternConfigErrors("custom");
+                    for (const root of [document.head ?? document.documentElement, ...getConnectedShadowRoots()]) {
+                        updatePatternStyles(root);
+                    }
+                    patternHighlighting();
+                }
+                // The same applies if rule packs have been imported, changed or removed.
+                if (areaName === "local" && "rulePacks" in changes) {
+                    constants.setRulePacks(changes.rulePacks.newValue ?? []);
+                    logPatternConfigErrors("pack");
+                    for (const root of [document.head ?? document.documentElement, ...getConnectedShadowRoots()]) {
+                        updatePatternStyles(root);
+                    }
+                    patternHighlighting();
+                }
+            }
+        );
+
+        // Remember the options that the user changes themselves, so that they are not detected as preselected.
+        // The events are captured before the page can stop them.
+        document.addEventListener("change", markUserChangedOption, true);
+        document.addEventListener("click", markUserChangedOption, true);
+
+        // Reposition the overlays for the matched texts when the size of the window changes.
+        // This is only required if the browser does not support the CSS Custom Highlight API.
+        window.addEventListener("resize", function () {
+            if (!textHighlightApiIsSupported()) {
+                drawTextMatchOverlays(textMatchRanges);
+            }
+        });
     } else {
         // Print a message that the pattern highlighter is disabled.
         console.log(brw.i18n.getMessage("infoExtensionDisabled"))
     }
 }
 
+/**
+ * A set of elements whose subtrees were affected by changes observed on the page.
+ * The elements are collected from the mutation records and re-examined during the next pattern highlighting.
+ * @constant
+ * @type {Set<Element>}
+ */
+const pendingMutationRoots = new Set();
+
+/**
+ * A set of the open shadow roots found on the page.
+ * Changes within shadow roots are not reported to an observer of the document,
+ * therefore each shadow root is observed separately.
+ * @constant
+ * @type {Set<ShadowRoot>}
+ */
+const observedShadowRoots = new Set();
+
 /**
  * An observer that performs the pattern checking and highlighting after an observed change.
+ * Only the subtrees affected by the changes are examined again.
  * @constant
  * @type {MutationObserver}
  */
-const observer = new MutationObserver(async function () {
-    await patternHighlighting(true);
+const observer = new MutationObserver(async function (mutations) {
+    // Collect the roots of the subtrees that were affected by the changes.
+    collectMutationRoots(mutations);
+    // Only start the pattern highlighting if there are relevant changes.
+    if (pendingMutationRoots.size > 0) {
+        await patternHighlighting(true);
+    }
 });
 
+/**
+ * The activity notifications (see `activityNotificationClassName`) that have appeared during the visit of the page,
+ * with the rules of their detection as keys. Since the notifications usually disappear after a short time,
+ * they are recorded when they appear and are reported even if they are no longer on the page.
+ * @constant
+ * @type {Map<string, {rule: string, language: string, count: number, texts: Array<string>, lastSeen: number}>}
+ */
+const activityNotifications = new Map();
+
+/**
+ * The last recorded text of each element that shows activity notifications.
+ * Used to count each appearance only once, even if the notification is changed several times while appearing.
+ * @constant
+ * @type {WeakMap<Element, string>}
+ */
+const activityNotificationTexts = new WeakMap();
+
+/**
+ * An observer that records the activity notifications that are added to the page.
+ * Unlike the `observer`, it stays connected during the pattern highlighting, so that no notification is missed.
+ * @constant
+ * @type {MutationObserver}
+ */
+const notificationObserver = new MutationObserver(recordActivityNotifications);
+
+/**
+ * Extracts the elements whose subtrees have to be examined again from mutation records
+ * and adds them to the `pendingMutationRoots`.
+ * Changes made by the extension itself and changes within ignored elements (see `tagBlacklist`) are skipped.
+ * @param {Array<MutationRecord>} mutations The mutation records of the observer.
+ */
+function collectMutationRoots(mutations) {
+    // Iterate over all mutation records.
+    for (const mutation of mutations) {
+        // Array for the elements affected by the current mutation.
+        let affected = [];
+        if (mutation.type === "childList") {
+            // For added nodes, the new elements themselves are examined.
+            // For added text nodes, the parent element is examined, since its text has changed.
+            // Removed nodes need not be examined, but their detection results are discarded.
+            for (const node of mutation.removedNodes) {
+                if (node.nodeType === Node.ELEMENT_NODE) {
+                    forgetDetectionResults(node);
+                }
+            }
+            for (const node of mutation.addedNodes) {
+                if (node.nodeType === Node.ELEMENT_NODE) {
+                    // Skip the shadow elements that are created to show individual patterns
+                    // and the overlays that are created to highlight matched texts.
+                    if (!node.classList.contains(constants.currentPatternClassName)
+                        && !node.classList.contains(constants.textMatchClassName)) {
+                        affected.push(node);
+                    }
+                } else if (node.nodeType === Node.TEXT_NODE) {
+                    affected.push(mutation.target);
+                }
+            }
+        } else if (mutation.type === "characterData") {
+            // The text of a text node has changed, therefore its parent element is examined.
+            affected.push(mutation.target.parentElement);
+        } else {
+            // The attributes of an element have changed, which can affect the visibility of its content.
+            // The labels of form inputs are examined as well, since the state of the input affects them.
+            affected.push(mutation.target, ...(mutation.target.labels ?? []));
+        }
+
+        // Add the affected elements that are still on the page and not ignored to the pending roots.
+        // If an element is part of a detected pattern element, the detected element is examined instead,
+        // since a change of a part, e.g. a digit of a countdown in its own `span` or the number in "Only <b>3</b> left",
+        // does not match a pattern on its own, but can change the detection of the whole element.
+        for (const elem of affected) {
+            if (elem && elem.isConnected && !elem.closest(constants.tagBlacklist.join(","))) {
+                pendingMutationRoots.add(elem.closest("." + constants.patternDetectedClassName) ?? elem);
+            }
+        }
+    }
+}
+
+/**
+ * Discards the detection results (see `detectionResults`) of an element that was removed from the page
+ * and of all elements within it. Elements that were only moved on the page keep their results,
+ * since they are examined again at their new position.
+ * @param {Element} elem The removed element.
+ */
+function forgetDetectionResults(elem) {
+    if (elem.isConnected) {
+        return;
+    }
+    for (const node of [elem, ...elem.querySelectorAll("[data-phid]")]) {
+        detectionResults.delete(node.dataset.phid);
+    }
+}
+
+/**
+ * Records the activity notifications that appeared with the changes reported by the `notificationObserver`.
+ * An activity notification is an element with a fixed position that is detected as `activityNotificationClassName`.
+ * If new notifications were recorded, the results are sent again.
+ * @param {Array<MutationRecord>} mutations The mutation records of the observer.
+ */
+function recordActivityNotifications(mutations) {
+    // Collect the elements in which content was added. For added text nodes, the parent element is used.
+    let candidates = new Set();
+    for (const mutation of mutations) {
+        for (const node of mutation.addedNodes) {
+            if (node.nodeType === Node.ELEMENT_NODE) {
+                // Skip the elements created by the extension itself.
+                if (!node.classList.contains(constants.currentPatternClassName)
+                    && !node.classList.contains(constants.textMatchClassName)
+                    && !node.classList.contains(constants.stylesheetClassName)
+                    && !node.classList.contains(constants.patternStylesClassName)) {
+                    candidates.add(node);
+                }
+            } else if (node.nodeType === Node.TEXT_NODE) {
+                candidates.add(mutation.target);
+            }
+        }
+        // Forget the text of removed notifications, so that they are counted again when they are added again.
+        for (const node of mutation.removedNodes) {
+            activityNotificationTexts.delete(node);
+        }
+    }
+
+    // The activity notification pattern, if it is enabled.
+    const notificationPatterns = getEnabledPatterns()
+        .filter(pattern => pattern.className === constants.activityNotificationClassName);
+    if (notificationPatterns.length === 0) {
+        return;
+    }
+
+    let recorded = false;
+    for (const candidate of candidates) {
+        // Find the element floating above the page that contains the added content.
+        const notification = candidate.isConnected ? getFixedAncestor(candidate) : null;
+        if (!notification) {
+            continue;
+        }
+        // Skip notifications whose text has already been recorded.
+        const text = notification.innerText.trim();
+        if (!text || activityNotificationTexts.get(notification) === text) {
+            continue;
+        }
+        // Check if the element is an activity notification. The element on the page is examined directly.
+        // Only the activity notification pattern is checked, so that the other patterns cause no side effects,
+        // e.g. observations in the history.
+        const found = findPatterInNode(notification, null, notification, notificationPatterns)[0];
+        if (!found) {
+            continue;
+        }
+        activityNotificationTexts.set(notification, text);
+        // Count the appearance for the rule that detected the notification and keep the last distinct texts.
+        const key = found.evidence.rule ?? found.evidence.detectionFunction;
+        let entry = activityNotifications.get(key) ?? { rule: key, language: found.evidence.language, count: 0, texts: [], lastSeen: 0 };
+        entry.count++;
+        entry.lastSeen = Date.now();
+        entry.texts = [text, ...entry.texts.filter(t => t !== text)].slice(0, 5);
+        activityNotifications.set(key, entry);
+        recorded = true;
+    }
+    // Inform the other extension scripts about the new notifications.
+    if (recorded) {
+        sendResults();
+    }
+}
+
+/**
+ * Returns the element itself or its closest ancestor with a fixed position, i.e. that floats above the page.
+ * @param {Element} elem The element on the page.
+ * @returns {(Element|null)} The element with a fixed position, or `null` if there is none.
+ */
+function getFixedAncestor(elem) {
+    for (let current = elem; current && current !== document.body && current !== document.documentElement; current = current.parentElement) {
+        if (["fixed", "sticky"].includes(getComputedStyle(current).position)) {
+            return current;
+        }
+    }
+    return null;
+}
+
+/**
+ * Reduces a collection of elements to those that are not contained in the subtree of another element of the collection.
+ * This prevents subtrees from being examined multiple times.
+ * @param {Iterable<Element>} elements The elements to be reduced.
+ * @returns {Array<Element>} The elements that are not descendants of other elements in the collection.
+ */
+function getOutermostElements(elements) {
+    // Convert the collection into an array of elements that are still on the page.
+    let elems = [...elements].filter(elem => elem.isConnected);
+    // Keep only the elements which are not contained in any of the other elements.
+    return elems.filter(elem => !elems.some(other => other !== elem && other.contains(elem)));
+}
+
 /**
  * The function to identify for patterns on the page. The function uses the detection methods defined in the `patternConfig`.
  * Some HTML tags are ignored (see `tagBlacklist`).
  * If an element is identified as a pattern, two classes are added to it.
  * This will automatically highlight the element using predefined CSS styles.
- * @param {boolean} [waitForChanges=false] A flag to specify whether to wait briefly before executing the function.
+ * @param {boolean} [incremental=false] A flag to specify whether only the subtrees affected by observed changes
+ * (see `pendingMutationRoots`) should be examined instead of the entire page.
+ * In this case, the function waits briefly for subsequent changes before the examination.
  */
-async function patternHighlighting(waitForChanges = false) {
+async function patternHighlighting(incremental = false) {
     // Check if the pattern detection is already in progress.
     if (this.lock === true) {
         // If the pattern detection is already in progress, exit the function.
         // The result will follow shortly and will be sent automatically to the other parts of the extension.
+        // An examination of the entire page is run afterwards, since the current run may not reflect
+        // the changed settings that requested it.
+        if (incremental !== true) {
+            fullRunRequested = true;
+        }
         return;
     }
     // Lock the function so that it cannot be executed more than once at the same time.
     this.lock = true;
 
-    // Stop monitoring changes on the page with the observer during the pattern identification process.
-    observer.disconnect();
-
-    // Wait 2000 milliseconds for subsequent changes after the observer has detected a change.
-    if (waitForChanges === true) {
-        await new Promise(resolve => { setTimeout(resolve, 2000) });
-    }
-
-    // Add pattern highlighter IDs to every element on the page.
-    addPhidForEveryElement(document.body);
-
-    // Create a copy of the DOM that can be modified afterwards.
-    let domCopyA = document.body.cloneNode(true);
-    // Remove unwanted elements from the DOM copy (e.g. audio, video and script elements).
-    removeBlacklistNodes(domCopyA);
-
-    // Wait about 1.5 seconds for changes to elements to occur.
-    // An example of an expected change is a countdown that counts down every second.
-    await new Promise(resolve => { setTimeout(resolve, 1536) });
-
-    // Add pattern highlighter IDs to every element on the page.
-    addPhidForEveryElement(document.body);
-
-    // Create a second copy of the DOM. This copy will reflect changes, if there were any.
-    let domCopyB = document.body.cloneNode(true);
-    // Remove unwanted elements from the second DOM copy.
-    removeBlacklistNodes(domCopyB);
-
-    // Reset all found patterns on the page before updating them afterwards.
-    resetDetectedPatterns();
-
-    // Identify patterns within the DOM copies. As reference for the current state of the web page `domCopyB` is used.
-    // `domCopyA` is used as the previous state of the page to detect changes.
-    // If elements are identified as patterns, respective classes are added to them.
-    findPatternDeep(domCopyB, domCopyA);
-
-    // Destroy both DOM copies so that they can be removed from memory.
-    domCopyA.replaceChildren();
-    domCopyA = null;
-    domCopyB.replaceChildren();
-    domCopyB = null;
-
-    // Send the information about the detected patterns to the other extension scripts.
-    sendResults();
-
-    // Watch the entire page for changes in the DOM. All nodes, their attributes and contents are observed.
-    // Elements that will be ignored later are also observed.
-    // Due to the configuration that contents, i.e. characters, are also observed, it can lead to a situation
-    // where the pattern highlighting function is executed at a fixed interval if the page is constantly changing.
-    // For this it is enough that there is a dynamic countdown or an active video player with time information on the page.
-    // Even changes in the background that are not visible can trigger the callback function of the observer.
-    // However, the advantage over a fixed interval is that there are also pages where no changes take place.
-    // In this case, no unnecessary operations are performed there.
-    observer.observe(document.body, {
-        subtree: true,
-        childList: true,
-        attributes: true,
-        characterData: true,
-    });
+    try {
+        /**
+         * The roots of the subtrees on the page that will be examined for patterns.
+         * @type {Array<Element>}
+         */
+        let roots;
+        if (incremental === true) {
+            // Wait 2000 milliseconds for subsequent changes after the observer has detected a change.
+            // The observer remains active during this time, so that the subsequent changes are also collected.
+            await new Promise(resolve => { setTimeout(resolve, 2000) });
+            // Collect the changes that have not yet been passed to the callback function of the observer.
+            collectMutationRoots(observer.takeRecords());
+            // Only examine the outermost affected elements, as their subtrees include the other elements.
+            roots = getOutermostElements(pendingMutationRoots);
+        } else {
+            // Examine the entire page.
+            roots = [document.body];
+        }
+        // The collected changes are handled by this run of the function.
+        // The observer stays active while the subtrees are copied, so that changes during the examination
+        // are collected for the next run (see the end of the function).
+        pendingMutationRoots.clear();
 
-    // Finally, unlock the function so that it can be executed again.
-    this.lock = false;
+        // Add the open shadow roots within the examined subtrees, since their content is not part of the subtrees.
+        roots = roots.concat(...roots.map(root => getShadowRoots(root)));
+        // Prepare all found shadow roots for the highlighting and the observation of changes.
+        for (const root of roots) {
+            if (root instanceof ShadowRoot) {
+                registerShadowRoot(root);
+            }
+        }
+
+        // Add pattern highlighter IDs to every element in the examined subtrees.
+        roots.forEach(root => addPhidForEveryElement(root));
+
+        // Determine the total and the fees shown on the page again, if they may have changed (see `checkoutSummary`).
+        if (!incremental || checkoutSummary === null || roots.some(root => constants.containsAmount(root))) {
+            checkoutSummary = constants.getCheckoutSummary(document.body);
+        }
+        // Pass the total shown on the page, since fees are only hidden costs if they have raised the total
+        // compared to the previous steps of the checkout.
+        checkout.setCurrentTotal(checkout.getPreviousSteps().length > 0 ? checkoutSummary.total : null);
+
+        // Create a copy of every examined subtree that can be modified afterwards.
+        let domCopiesA = roots.map(root => cloneSubtree(root));
+        // Remove unwanted elements from the copies (e.g. audio, video and script elements).
+        domCopiesA.forEach(domCopy => removeBlacklistNodes(domCopy));
+
+        // Wait about 1.5 seconds for changes to elements to occur.
+        // An example of an expected change is a countdown that counts down every second.
+        await new Promise(resolve => { setTimeout(resolve, 1536) });
+
+        // Add pattern highlighter IDs to every element in the examined subtrees.
+        roots.forEach(root => addPhidForEveryElement(root));
+
+        // Create a second copy of every examined subtree. These copies will reflect changes, if there were any.
+        let domCopiesB = roots.map(root => cloneSubtree(root));
+        // Remove unwanted elements from the second copies.
+        domCopiesB.forEach(domCopy => removeBlacklistNodes(domCopy));
+
+        // Collect the changes that occurred on the page since the copies were started, so that they are examined in the next run.
+        collectMutationRoots(observer.takeRecords());
+        // Stop monitoring changes on the page with the observer while the results are applied to the page,
+        // so that the classes and overlays added by the extension are not reported as changes.
+        // Since the results are applied without interruption, the page cannot change in the meantime.
+        observer.disconnect();
+
+        // Iterate over all examined subtrees.
+        for (let i = 0; i < roots.length; i++) {
+            // Skip subtrees that have been removed from the page in the meantime.
+            if (!roots[i].isConnected) {
+                continue;
+            }
+            // Reset all found patterns in the subtree before updating them afterwards.
+            // Results from the rest of the page are kept.
+            resetDetectedPatterns(roots[i]);
+
+            // Identify patterns within the copies of the subtree. As reference for the current state `domCopiesB` is used.
+            // `domCopiesA` is used as the previous state of the subtree to detect changes.
+            // If elements are identified as patterns, respective classes are added to them.
+            findPatternDeep(domCopiesB[i], domCopiesA[i], roots[i]);
+        }
+
+        // Destroy all copies so that they can be removed from memory.
+        for (const domCopy of [...domCopiesA, ...domCopiesB]) {
+            domCopy.replaceChildren();
+        }
+        domCopiesA = null;
+        domCopiesB = null;
+
+        // Highlight the matched texts or the borders of the detected elements.
+        updateHighlighting();
+
+        // Send the information about the detected patterns to the other extension scripts.
+        sendResults();
+
+        // Record the total and fees on the page as a step of a checkout.
+        recordCheckoutStep();
+    } finally {
+        // Even if the examination fails, the page is observed again and the function is unlocked,
+        // so that the pattern highlighting keeps working on the page.
+        // Watch the entire page for changes in the DOM. All nodes, their contents and the attributes
+        // that affect the appearance of the elements are observed.
+        // Elements that will be ignored later are also observed.
+        // Due to the configuration that contents, i.e. characters, are also observed, it can lead to a situation
+        // where the pattern highlighting function is executed at a fixed interval if the page is constantly changing.
+        // For this it is enough that there is a dynamic countdown or an active video player with time information on the page.
+        // However, in this case only the changed parts of the page are examined again (see `collectMutationRoots`).
+        // The advantage over a fixed interval is that there are also pages where no changes take place.
+        // In this case, no unnecessary operations are performed there.
+        // The open shadow roots on the page are observed in the same way.
+        for (const observedNode of [document.body, ...getConnectedShadowRoots()]) {
+            observer.observe(observedNode, {
+                subtree: true,
+                childList: true,
+                attributes: true,
+                attributeFilter: ["class", "style", "hidden"],
+                characterData: true,
+            });
+        }
+
+        // Finally, unlock the function so that it can be executed again.
+        this.lock = false;
+    }
+
+    // Examine the entire page again if this was requested during this run (see `fullRunRequested`).
+    // Otherwise, examine the changes that occurred during this run, since the observer has already reported them.
+    if (fullRunRequested) {
+        fullRunRequested = false;
+        patternHighlighting();
+    } else if (pendingMutationRoots.size > 0) {
+        patternHighlighting(true);
+    }
+}
+
+/**
+ * Recursively collects all open shadow roots within a DOM tree, including nested shadow roots.
+ * Closed shadow roots are not accessible and are therefore not collected.
+ * @param {Node} dom The DOM tree in which to search for shadow roots.
+ * @returns {Array<ShadowRoot>} The open shadow roots within the DOM tree.
+ */
+function getShadowRoots(dom) {
+    // Array to collect the shadow roots.
+    let shadowRoots = [];
+    // Collect all elements of the DOM tree, including the root if it is an element.
+    let elements = [...dom.querySelectorAll("*")];
+    if (dom.nodeType === Node.ELEMENT_NODE) {
+        elements.unshift(dom);
+    }
+    // Iterate over all elements and check if they host an open shadow root.
+    for (const elem of elements) {
+        if (elem.shadowRoot) {
+            // Add the shadow root and all shadow roots nested within it.
+            shadowRoots.push(elem.shadowRoot, ...getShadowRoots(elem.shadowRoot));
+        }
+    }
+    return shadowRoots;
+}
+
+/**
+ * Returns the known open shadow roots that are still part of the page.
+ * Shadow roots whose host has been removed from the page are forgotten.
+ * @returns {Array<ShadowRoot>} The open shadow roots on the page.
+ */
+function getConnectedShadowRoots() {
+    // Iterate over all known shadow roots.
+    for (const shadowRoot of observedShadowRoots) {
+        // Remove the shadow root if its host is no longer on the page.
+        if (!shadowRoot.host.isConnected) {
+            observedShadowRoots.delete(shadowRoot);
+        }
+    }
+    return [...observedShadowRoots];
+}
+
+/**
+ * Registers an open shadow root so that it is observed for changes and its pattern elements are highlighted.
+ * The stylesheets of the content script do not apply within shadow roots,
+ * therefore the stylesheet of the extension is added to the shadow root.
+ * @param {ShadowRoot} shadowRoot The shadow root to be registered.
+ */
+function registerShadowRoot(shadowRoot) {
+    // Listen for changes of options within the shadow root, since `change` events do not leave shadow roots.
+    // Also watch for activity notifications within the shadow root.
+    if (!observedShadowRoots.has(shadowRoot)) {
+        shadowRoot.addEventListener("change", markUserChangedOption, true);
+        notificationObserver.observe(shadowRoot, { subtree: true, childList: true });
+    }
+    // Add the shadow root to the known shadow roots.
+    observedShadowRoots.add(shadowRoot);
+    // Add the stylesheet of the extension to the shadow root, if this has not already been done.
+    if (!shadowRoot.querySelector("." + constants.stylesheetClassName)) {
+        let stylesheet = document.createElement("link");
+        stylesheet.rel = "stylesheet";
+        stylesheet.href = brw.runtime.getURL("stylesheets/style.css");
+        stylesheet.classList.add(constants.stylesheetClassName);
+        shadowRoot.appendChild(stylesheet);
+        updatePatternStyles(shadowRoot);
+    }
+}
+
+/**
+ * Adds or renews the style element with the styles for the patterns that are highlighted with their own color
+ * or the style set by the user (see `getPatternHighlightStyles`) in the document or in a shadow root.
+ * @param {(Element|ShadowRoot)} root The head of the document or the shadow root.
+ */
+function updatePatternStyles(root) {
+    let style = root.querySelector(":scope > ." + constants.patternStylesClassName);
+    if (!style) {
+        style = document.createElement("style");
+        style.classList.add(constants.patternStylesClassName);
+        root.appendChild(style);
+    }
+    style.textContent = constants.getPatternHighlightStyles(patternStyles);
+}
+
+/**
+ * Creates a deep copy of a DOM tree.
+ * Since shadow roots cannot be cloned, the copy of a shadow root is a `div` element containing copies of its child nodes.
+ * @param {Node} dom The DOM tree to be copied, either an element or a shadow root.
+ * @returns {Element} The copy of the DOM tree.
+ */
+function cloneSubtree(dom) {
+    // Clone elements directly.
+    if (!(dom instanceof ShadowRoot)) {
+        return dom.cloneNode(true);
+    }
+    // Create a container for the copies of the child nodes of the shadow root.
+    let container = document.createElement("div");
+    for (const child of dom.childNodes) {
+        container.appendChild(child.cloneNode(true));
+    }
+    return container;
+}
+
+/**
+ * Searches the page, including all known open shadow roots, for an element with the specified pattern highlighter ID.
+ * @param {number} id The ID of the element to search for.
+ * @returns {(Element|null)} The element with the searched ID or `null` if no element with the ID was found.
+ */
+function getElementByPhidDeep(id) {
+    // Search the document and then the shadow roots until the element is found.
+    for (const dom of [document, ...getConnectedShadowRoots()]) {
+        let elem = getElementByPhid(dom, id);
+        if (elem) {
+            return elem;
+        }
+    }
+    return null;
 }
 
 /**
  * Adds a pattern highlighter ID as a custom HTML attribute to each element of a DOM tree.
  * This ID is unique and makes it possible to find elements even after page changes.
  * If an element already has an ID, it will be kept and no new one will be added.
+ * The root of the DOM tree also gets an ID, unless it is the body of the page.
  * @param {Node} dom The DOM tree to whose elements a unique pattern highlighter ID will be added.
  */
 function addPhidForEveryElement(dom) {
     // Create a counter as a static local variable that is initialized once and then reused.
     this.counter = this.counter || 0;
+    // Collect all the individual DOM nodes, including the root if it is not the body.
+    let nodes = [...dom.querySelectorAll("*")];
+    if (dom.nodeType === Node.ELEMENT_NODE && dom !== document.body) {
+        nodes.unshift(dom);
+    }
     // Iterate over all the individual DOM nodes.
-    for (const node of dom.querySelectorAll("*")) {
+    for (const node of nodes) {
         // Add a pattern highlighter ID as a custom attribute if there is none already.
         if (!node.dataset.phid) {
             node.dataset.phid = this.counter;
@@ -185,11 +783,16 @@ function addPhidForEveryElement(dom) {
 
 /**
  * Searches the specified DOM tree for an element with the specified pattern highlighter ID.
+ * The root of the DOM tree is included in the search.
  * @param {Node} dom The DOM tree in which to search for the element.
  * @param {number} id The ID of the element to search for.
  * @returns {(Element|null)} The element with the searched ID or `null` if no element with the ID was found.
  */
 function getElementByPhid(dom, id) {
+    // Return the root of the DOM tree if it is the element with the pattern highlighter ID of `id`.
+    if (dom.nodeType === Node.ELEMENT_NODE && dom.dataset.phid !== undefined && dom.dataset.phid == id) {
+        return dom;
+    }
     // Return the element on the page with the pattern highlighter ID of `id`.
     return dom.querySelector(`[data-phid="` + id + `"]`)
 }
@@ -206,26 +809,124 @@ function removeBlacklistNodes(dom) {
     }
 }
 
+/**
+ * Marks the option (see `toggleElementSelector`) that the user has changed with an event,
+ * so that it is no longer detected as preselected.
+ * The class change causes the option and its labels to be examined again.
+ * @param {Event} event A `change` or `click` event.
+ */
+function markUserChangedOption(event) {
+    // Ignore events that were generated by scripts of the page.
+    if (!event.isTrusted) {
+        return;
+    }
+    // Find the option at the origin of the event, which may be within a shadow root.
+    const target = event.composedPath()[0];
+    const option = target instanceof Element ? target.closest(constants.toggleElementSelector) : null;
+    if (option) {
+        option.classList.add(constants.userChangedClassName);
+    }
+}
+
+/**
+ * Determines the language of the page from its text using the language detection of the browser
+ * and from the `lang` attribute of the `<html>` element.
+ * The detected language of the text takes precedence if the detection is reliable,
+ * since the `lang` attribute is often left at the default of the template of the page.
+ * Only the primary subtag of the language is used, e.g. `en` for `en-US`.
+ * @returns {Promise<{language: (string|null), source: ("text"|"html"|null)}>} The ISO 639-1 code of the language
+ * together with its source, or `null` for both if the language could not be determined.
+ */
+async function detectPageLanguage() {
+    try {
+        const detection = await brw.i18n.detectLanguage((document.body?.innerText ?? "").slice(0, languageSampleLength));
+        // The languages of the detection are sorted by their percentage. The code `und` stands for an undetermined language.
+        const language = detection.languages[0]?.language.split("-")[0].toLowerCase();
+        if (detection.isReliable && language && language !== "und") {
+            return { language: language, source: "text" };
+        }
+    } catch (error) {
+        // The language detection is not available in all browsers. In this case, only the attribute is used.
+    }
+    const language = document.documentElement.lang.trim().split("-")[0].toLowerCase();
+    if (/^[a-z]{2}$/.test(language)) {
+        return { language: language, source: "html" };
+    }
+    return { language: null, source: null };
+}
+
+/**
+ * Issues a warning in the console for each pattern that has been rejected due to an invalid configuration.
+ * @param {("builtin"|"pack"|"custom")} [source] Only the errors of the patterns from this source are issued, if specified.
+ */
+function logPatternConfigErrors(source) {
+    for (const error of constants.getPatternConfigErrors()) {
+        if (source === undefined || error.source === source) {
+            console.warn(constants.formatPatternConfigError(error));
+        }
+    }
+}
+
 /**
  * Checks a DOM node for patterns. This is done using the detection functions defined in the `patternConfig`.
+ * A node can represent several patterns at the same time, therefore all enabled patterns are checked.
+ * Only the detection functions for the language of the page are run (see `pageLanguage`).
+ * Detections with a confidence score below the `confidenceThreshold` are ignored.
+ * If several detection functions of a pattern detect it, the detection with the highest score is used.
  * @param {Node} node The DOM node to be inspected for patterns.
  * @param {Node} [nodeOld] The previous state of the DOM node to be checked for patterns, if present.
- * @returns {(string|null)} The class name of the pattern type, if one was detected, otherwise `null`.
+ * @param {Node} [nodeLive] The element on the page of which the DOM node is a copy, if present.
+ * @param {Array<object>} [patterns] The patterns to check for, by default all enabled patterns (see `getEnabledPatterns`).
+ * @returns {Array<{className: string} & DetectionResult>} The class names of the detected pattern types
+ * together with the detection results. The array is empty if no pattern was detected.
  */
-function findPatterInNode(node, nodeOld) {
-    // Iterate over all patterns in the `patternConfig`.
-    for (const pattern of constants.patternConfig.patterns) {
+function findPatterInNode(node, nodeOld, nodeLive, patterns = getEnabledPatterns()) {
+    // Array to collect the detected patterns.
+    let foundPatterns = [];
+    // Iterate over the patterns to check, by default all enabled patterns in the `patternConfig`.
+    for (const pattern of patterns) {
+        // Variable for the detection of the pattern with the highest score so far.
+        let best = null;
         // Iterate over all detection functions for the pattern. Usually is only a single one.
-        for (const func of pattern.detectionFunctions) {
-            // Pass the two parameters to the detection function and check if the pattern is detected.
-            if (func(node, nodeOld)) {
-                // If the detection function returns `true`, the respective pattern was detected.
-                // The class name of the pattern is returned and the function terminates.
-                return pattern.className;
+        for (const [idx, func] of pattern.detectionFunctions.entries()) {
+            // Skip the detection functions for other languages than the language of the page.
+            if (!constants.detectionFunctionMatchesLanguage(pattern, func)) {
+                continue;
+            }
+            // Pass the parameters to the detection function and convert its return value into a detection result.
+            const result = constants.normalizeDetectionResult(func(node, nodeOld, nodeLive));
+            // Record the values that the detection function wants to compare on later visits of the site.
+            // This is also done for detections below the threshold, since the pattern may only become apparent later.
+            const observation = result?.evidence?.observation;
+            if (observation) {
+                observationHistory.addObservation(observation.category, observation.signature, observation.value);
+            }
+            // Keep the detection if its score reaches the threshold and is higher than that of the previous best detection.
+            if (result && result.score >= confidenceThreshold && (!best || result.score > best.score)) {
+                // Record which detection function fired, to be able to explain the detection.
+                // Anonymous functions are identified by the class name of the pattern and their index.
+                result.evidence = { ...result.evidence, detectionFunction: func.name || `${pattern.className}[${idx}]` };
+                best = { className: pattern.className, ...result };
+                // A detection with full confidence cannot be surpassed, so the other detection functions are skipped.
+                if (best.score >= 1) {
+                    break;
+                }
             }
         }
+        // Add the best detection of the pattern, if there is one.
+        if (best) {
+            foundPatterns.push(best);
+        }
     }
-    return null;
+    return foundPatterns;
+}
+
+/**
+ * Returns the patterns of the `patternConfig` that the user has not disabled (see `disabledPatterns`).
+ * @returns {Array<object>} The enabled patterns.
+ */
+function getEnabledPatterns() {
+    return constants.patternConfig.patterns.filter(pattern => !disabledPatterns.includes(pattern.className));
 }
 
 /**
@@ -233,33 +934,38 @@ function findPatterInNode(node, nodeOld) {
  * The recognition functions from the `patternConfig` are used.
  * If elements are identified as patterns, respective classes are added to them.
  * @param {Node} node A DOM node or a complete DOM tree in which to search for patterns.
- * @param {Node} domOld The complete previous state of the DOM tree of the page.
+ * @param {Node} domOld The complete previous state of the DOM tree.
+ * @param {Node} [dom=document] The DOM tree on the page, of which `node` is a copy.
  */
-function findPatternDeep(node, domOld) {
+function findPatternDeep(node, domOld, dom = document) {
     // Iterate over all child nodes of the provided DOM node.
     for (const child of node.children) {
         // Execute the function recursively on each child node.
-        findPatternDeep(child, domOld);
+        findPatternDeep(child, domOld, dom);
     }
 
     // Extract the previous state of the node from the old DOM. Is `null` if the node did not exist yet.
     let nodeOld = getElementByPhid(domOld, node.dataset.phid);
+    // Find the element in the original DOM. Is `null` if the element no longer exists.
+    let elem = getElementByPhid(dom, node.dataset.phid);
     // Check if the node represents one of the patterns.
-    let foundPattern = findPatterInNode(node, nodeOld);
+    let foundPatterns = findPatterInNode(node, nodeOld, elem);
 
     // If a pattern is detected, add appropriate classes to the element
     // and remove it from the DOM for the further pattern search.
-    if (foundPattern) {
-        // Find the element in the original DOM.
-        let elem = getElementByPhid(document, node.dataset.phid);
+    if (foundPatterns.length > 0) {
         // Check if the element still exists.
         if (elem) {
             // Add a general class for patterns to the element
-            // and a class for the specific pattern the element represents.
+            // and a class for each specific pattern the element represents.
             elem.classList.add(
                 constants.patternDetectedClassName,
-                constants.extensionClassPrefix + foundPattern
+                ...foundPatterns.map(foundPattern => constants.extensionClassPrefix + foundPattern.className)
             );
+            // Keep the confidence scores and evidence of the detections for the results.
+            detectionResults.set(elem.dataset.phid, Object.fromEntries(foundPatterns.map(
+                foundPattern => [foundPattern.className, { score: foundPattern.score, evidence: foundPattern.evidence }]
+            )));
         }
         // Remove the previous state of the node, if it exists.
         if (nodeOld) {
@@ -271,20 +977,171 @@ function findPatternDeep(node, domOld) {
 }
 
 /**
- * Removes the classes that are assigned to found patterns from all pattern elements.
+ * Removes the classes that are assigned to found patterns from all pattern elements in a DOM tree.
+ * @param {Node} dom The DOM tree in which the pattern elements are reset, including its root.
  */
-function resetDetectedPatterns() {
+function resetDetectedPatterns(dom) {
     // Regular expression to find all classes belonging to the extension.
     let regx = new RegExp("\\b" + constants.extensionClassPrefix + "[^ ]*[ ]?\\b", "g");
+    // Collect all detected pattern elements in the DOM tree.
+    let detectedElements = [...dom.querySelectorAll("." + constants.patternDetectedClassName)];
+    // Also reset the root of the DOM tree if it is a detected pattern element.
+    if (dom.nodeType === Node.ELEMENT_NODE && dom.classList.contains(constants.patternDetectedClassName)) {
+        detectedElements.push(dom);
+    }
     // Iterate over all detected pattern elements.
-    document.querySelectorAll("." + constants.patternDetectedClassName).forEach(
+    detectedElements.forEach(
         function (node) {
+            // Keep the information whether the user has changed the element, since it is not a detection result.
+            const userChanged = node.classList.contains(constants.userChangedClassName);
             // Remove all classes belonging to the extension.
             node.className = node.className.replace(regx, "");
+            if (userChanged) {
+                node.classList.add(constants.userChangedClassName);
+            }
+            // Remove the detection result of the element.
+            detectionResults.delete(node.dataset.phid);
         }
     );
 }
 
+/**
+ * Checks whether the browser supports the CSS Custom Highlight API, which is used to highlight matched texts.
+ * @returns {boolean} `true` if the API is supported, `false` otherwise.
+ */
+function textHighlightApiIsSupported() {
+    return typeof Highlight === "function" && typeof CSS !== "undefined" && !!CSS.highlights;
+}
+
+/**
+ * Highlights the detected patterns on the page according to the `highlightMode`.
+ * In the `"text"` mode, the matched text of each detection is highlighted. If no matched text is known
+ * or it cannot be found in the element, the element gets a border instead, as in the `"border"` mode.
+ * The texts are highlighted with the CSS Custom Highlight API or, if it is not supported,
+ * with overlays (see `drawTextMatchOverlays`).
+ */
+function updateHighlighting() {
+    // Array to collect the ranges of all matched texts.
+    let ranges = [];
+    // Iterate over all detected pattern elements, on the page and in the open shadow roots.
+    for (const elem of getElementsByClassNameDeep(constants.patternDetectedClassName)) {
+        // Array for the ranges of the matched texts in the element.
+        let elemRanges = [];
+        if (highlightMode === "text") {
+            // Search the element for the matched text of each detected pattern.
+            for (const [className, result] of Object.entries(detectionResults.get(elem.dataset.phid) ?? {})) {
+                if (result.evidence?.match) {
+                    let range = findTextRange(elem, result.evidence.match);
+                    if (range) {
+                        elemRanges.push({ range: range, className: className });
+                    }
+                }
+            }
+        }
+        // Add a border to the element if no matched text is highlighted.
+        elem.classList.toggle(constants.highlightBorderClassName, elemRanges.length === 0);
+        ranges.push(...elemRanges);
+    }
+
+    // Keep the ranges for repositioning the overlays.
+    textMatchRanges = ranges;
+    if (textHighlightApiIsSupported()) {
+        // Remove the previous highlights of the extension.
+        for (const name of [...CSS.highlights.keys()].filter(name => name.startsWith(constants.textMatchClassName))) {
+            CSS.highlights.delete(name);
+        }
+        // Group the ranges by the highlight in which they are registered.
+        // The ranges of patterns with their own color get a separate highlight for each pattern.
+        let highlights = new Map([[constants.textMatchClassName, []]]);
+        for (const { range, className } of ranges) {
+            const name = constants.patternConfig.patterns.find(p => p.className === className)?.color ?
+                `${constants.textMatchClassName}-${className}` : constants.textMatchClassName;
+            highlights.set(name, [...(highlights.get(name) ?? []), range]);
+        }
+        // Register the ranges as highlights, which are styled by the `::highlight()` pseudo-element.
+        for (const [name, highlightRanges] of highlights) {
+            CSS.highlights.set(name, new Highlight(...highlightRanges));
+        }
+    } else {
+        // Otherwise, draw overlays over the ranges.
+        drawTextMatchOverlays(ranges);
+    }
+}
+
+/**
+ * Searches the text of an element for a matched text and returns its range on the page.
+ * The matched text was extracted from the rendered text of a copy of the element,
+ * which may differ in whitespace from the text nodes. Therefore, whitespace is ignored during the search.
+ * @param {Element} elem The element to be searched.
+ * @param {string} text The matched text to be searched for.
+ * @returns {(Range|null)} The range of the first occurrence of the text or `null` if it was not found.
+ */
+function findTextRange(elem, text) {
+    // The text to be searched for without whitespace.
+    const needle = text.replace(/\s+/g, "");
+    if (!needle) {
+        return null;
+    }
+    // The text of the element without whitespace and for each of its characters the text node and offset it originates from.
+    let haystack = "";
+    let positions = [];
+    // Iterate over all text nodes in the element, skipping the ones in ignored elements (see `tagBlacklist`).
+    const walker = document.createTreeWalker(elem, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+        const textNode = walker.currentNode;
+        if (textNode.parentElement.closest(constants.tagBlacklist.join(","))) {
+            continue;
+        }
+        for (let offset = 0; offset < textNode.data.length; offset++) {
+            if (!/\s/.test(textNode.data[offset])) {
+                haystack += textNode.data[offset];
+                positions.push({ node: textNode, offset: offset });
+            }
+        }
+    }
+    // Search for the text and return `null` if it is not found.
+    const idx = haystack.indexOf(needle);
+    if (idx === -1) {
+        return null;
+    }
+    // Create a range from the first to the last character of the found text.
+    const start = positions[idx];
+    const end = positions[idx + needle.length - 1];
+    let range = document.createRange();
+    range.setStart(start.node, start.offset);
+    range.setEnd(end.node, end.offset + 1);
+    return range;
+}
+
+/**
+ * Draws overlays over the ranges of matched texts, if the CSS Custom Highlight API is not supported.
+ * The overlays are absolutely positioned elements whose appearance is predefined by corresponding CSS styles.
+ * Previously drawn overlays are removed.
+ * @param {Array<{range: Range, className: string}>} ranges The ranges to be highlighted with the class names of their patterns.
+ */
+function drawTextMatchOverlays(ranges) {
+    // Remove all old overlays.
+    for (const overlay of [...document.getElementsByClassName(constants.textMatchClassName)]) {
+        overlay.remove();
+    }
+    // Iterate over the rectangles of all ranges, a range spanning several lines has several rectangles.
+    for (const { range, className } of ranges) {
+        for (const rect of range.getClientRects()) {
+            // Create an overlay at the absolute position of the rectangle on the page.
+            let overlay = document.createElement("div");
+            overlay.style.position = "absolute";
+            overlay.style.top = rect.top + window.scrollY + "px";
+            overlay.style.left = rect.left + window.scrollX + "px";
+            overlay.style.height = rect.height + "px";
+            overlay.style.width = rect.width + "px";
+            // Add a class for which there are predefined styles to represent the overlay
+            // and a class for the pattern, for which there may be styles with its own color.
+            overlay.classList.add(constants.textMatchClassName, `${constants.textMatchClassName}-${className}`);
+            document.body.appendChild(overlay);
+        }
+    }
+}
+
 /**
  * Checks whether an element is visible based on its DOM node.
  * @param {Node} elem DOM node that is checked for visibility.
@@ -305,6 +1162,16 @@ function elementIsVisible(elem) {
     return !!(elem.offsetWidth || elem.offsetHeight || elem.getClientRects().length);
 };
 
+/**
+ * Collects all elements with the specified class on the page, including the elements in all known open shadow roots.
+ * @param {string} className The class of the elements to be collected.
+ * @returns {Array<Element>} The elements with the class.
+ */
+function getElementsByClassNameDeep(className) {
+    // Collect the elements from the document and from each shadow root.
+    return [document, ...getConnectedShadowRoots()].flatMap(dom => [...dom.querySelectorAll("." + CSS.escape(className))]);
+}
+
 /**
  * Creates an object with the counts of detected patterns and
  * the pattern highlighter IDs of the corresponding elements on the page.
@@ -313,52 +1180,96 @@ function elementIsVisible(elem) {
 function getPatternsResults() {
     // Initialize the result object with all required keys.
     let results = {
-        // An array with the pattern highlighter IDs of the detected elements for each pattern.
+        // An array with the detected elements for each pattern.
+        // Each element is an object with its pattern highlighter ID (`phid`), the confidence score (`score`)
+        // and the evidence (`evidence`) of the detection. The evidence explains the detection with the name of
+        // the detection function that fired and, if available, the language variant, the rule and the matched snippet.
         // The elements are divided into two arrays according to the property visible or hidden.
-        // Each object in the `patterns` array contains the `name` key with the name of the pattern.
+        // Each object in the `patterns` array contains the `name` key with the name of the pattern
+        // and the `className` key with its class name.
+        // An element that represents several patterns is listed for each of these patterns.
         "patterns": [],
         // The total count of detected elements that represent patterns and are visible on the page.
+        // Elements that represent several patterns are counted only once.
         "countVisible": 0,
         // The total count of detected elements that represent patterns.
+        // Elements that represent several patterns are counted only once.
         "count": 0,
+        // The activity notifications that have appeared during the visit of the page,
+        // including those that are no longer on the page. Each object contains the detection rule (`rule`),
+        // the language (`language`), the number of appearances (`count`), the last distinct texts (`texts`)
+        // and the time of the last appearance (`lastSeen`).
+        "activityNotifications": [...activityNotifications.values()],
+        // The language of the page whose detection functions were run (`language`), or `null` if it is unknown,
+        // and whether it was detected from the text or taken from the `lang` attribute (`source`).
+        "pageLanguage": pageLanguage,
     }
-    // Iterate over all patterns in the `patternConfig`.
-    for (const pattern of constants.patternConfig.patterns) {
+    // Sets to collect the pattern highlighter IDs of all visible and all detected elements.
+    let phidsVisible = new Set();
+    let phids = new Set();
+    // Iterate over all enabled patterns in the `patternConfig`.
+    for (const pattern of getEnabledPatterns()) {
         // Array to collect all visible elements to the pattern.
         let elementsVisible = [];
         // Array to collect all hidden elements to the pattern.
         let elementsHidden = [];
 
-        // Iterate over all elements that represent the current pattern.
-        for (const elem of document.getElementsByClassName(constants.extensionClassPrefix + pattern.className)) {
+        // Iterate over all elements that represent the current pattern, on the page and in the open shadow roots.
+        for (const elem of getElementsByClassNameDeep(constants.extensionClassPrefix + pattern.className)) {
+            // Combine the pattern highlighter ID of the element with the confidence score and evidence
+            // of the detection of the current pattern.
+            let element = { phid: elem.dataset.phid, ...detectionResults.get(elem.dataset.phid)?.[pattern.className] };
             // Depending on whether the element is visible or hidden,
-            // add its pattern highlighter ID to the appropriate array.
+            // add the element to the appropriate array.
             if (elementIsVisible(elem)) {
-                elementsVisible.push(elem.dataset.phid);
+                elementsVisible.push(element);
+                phidsVisible.add(element.phid);
             } else {
-                elementsHidden.push(elem.dataset.phid);
+                elementsHidden.push(element);
             }
+            phids.add(element.phid);
         }
 
-        // Add the name of the pattern and the two arrays with the elements as an object to the result object.
+        // Add the name and class name of the pattern and the two arrays with the elements as an object to the result object.
         results.patterns.push({
             name: pattern.name,
+            className: pattern.className,
             elementsVisible: elementsVisible,
             elementsHidden: elementsHidden,
         });
 
-        // Add the number of visible detected elements of the pattern
-        // to the total number of visible detected elements.
-        results.countVisible += elementsVisible.length;
-        // Add the count of detected elements of the pattern to the total count of detected elements.
-        results.count += elementsVisible.length + elementsHidden.length;
     }
+    // Set the total counts to the numbers of distinct elements.
+    results.countVisible = phidsVisible.size;
+    results.count = phids.size;
     // Return the complete result object.
     return results;
 }
 
+/**
+ * Sends the total and the fees shown on the page as a step of a checkout to the background script,
+ * so that the hidden costs can be detected on the following pages of the checkout.
+ * Pages that do not belong to a checkout end the recorded checkout.
+ * Only the main frame represents a page of the checkout.
+ */
+function recordCheckoutStep() {
+    if (window !== window.top) {
+        return;
+    }
+    if (!constants.checkoutUrlRegex.test(location.href)) {
+        checkout.recordCheckoutStep(null);
+        return;
+    }
+    // Only record pages that actually show costs. The costs were determined during the examination of the page.
+    if (checkoutSummary && (checkoutSummary.total || checkoutSummary.fees.length > 0)) {
+        checkout.recordCheckoutStep(checkoutSummary);
+    }
+}
+
 /**
  * Send the information and counts about the detected patterns to the other extension scripts.
+ * The results only refer to the current frame. They are combined with the results of the other frames
+ * of the tab by the background script.
  */
 function sendResults() {
     // Create the result object with all information and counts.
@@ -405,8 +1316,8 @@ function showElement(phid) {
         element.remove();
     }
 
-    // Get the element to be shown by its ID.
-    let elem = getElementByPhid(document, phid);
+    // Get the element to be shown by its ID, which may also be located in a shadow root.
+    let elem = getElementByPhidDeep(phid);
 
     // Check if the element with the `phid` exists or if no element with the ID was found.
     if (elem == null) {
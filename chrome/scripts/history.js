@@ -0,0 +1,251 @@
+/**
+ * The object to access the API functions of the browser.
+ * @constant
+ * @type {{storage: object, i18n: object}} BrowserAPI
+ */
+const brw = chrome;
+
+/**
+ * The object to access the browser storage API for the observation history.
+ * The history is kept in the local storage, limited in age and in the number of sites
+ * (see `maxHistoryAge` and `maxHistorySites`).
+ * @constant
+ * @type {object}
+ */
+const historyStorage = brw.storage.local;
+
+/**
+ * The prefix for the keys in the local storage under which the observation history of the sites is stored.
+ * @constant
+ * @type {string}
+ */
+const historyPrefix = "history_";
+
+/**
+ * The key in the local storage under which the sites with an observation history are stored
+ * together with the timestamps of their last observation, so that old sites can be discarded.
+ * @constant
+ * @type {string}
+ */
+const historySitesKey = "historySites";
+
+/**
+ * The maximum age of the observations in milliseconds (30 days).
+ * Older observations and the histories of sites that have not been visited since then are discarded.
+ * @constant
+ * @type {number}
+ */
+const maxHistoryAge = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * The maximum number of sites for which an observation history is kept.
+ * The histories of the sites with the oldest observations are discarded.
+ * @constant
+ * @type {number}
+ */
+const maxHistorySites = 200;
+
+/**
+ * The maximum number of observations that are kept for a signature.
+ * Older observations are discarded.
+ * @constant
+ * @type {number}
+ */
+const maxObservationsPerSignature = 20;
+
+/**
+ * The maximum number of signatures that are kept for a category of a site.
+ * The signatures with the oldest observations are discarded.
+ * @constant
+ * @type {number}
+ */
+const maxSignaturesPerCategory = 200;
+
+/**
+ * An ID for the current page load. Observations of the same page load replace each other,
+ * so that only the last observed value of a page load is kept.
+ * @constant
+ * @type {string}
+ */
+const pageLoadId = `${Date.now()}-${Math.random()}`;
+
+/**
+ * @typedef {object} Observation
+ * @property {number} time - The timestamp of the observation in milliseconds.
+ * @property {any} value - The observed value.
+ * @property {string} load - The ID of the page load in which the value was observed.
+ */
+
+/**
+ * The key in the local storage for the history of the current site. Is `null` until the history is loaded.
+ * @type {(string|null)}
+ */
+let historyKey = null;
+
+/**
+ * The observation history of the current site as it was loaded, i.e. the observations of previous page loads.
+ * The first level of keys are the categories, the second level the signatures.
+ * @type {Object.<string, Object.<string, Array<Observation>>>}
+ */
+let storedHistory = {};
+
+/**
+ * The observations of the current page load that have not been saved yet, keyed by category and signature.
+ * @constant
+ * @type {Map<string, {category: string, signature: string, observation: Observation}>}
+ */
+const pendingObservations = new Map();
+
+/**
+ * The timeout ID of the scheduled saving of the pending observations, or `null` if no saving is scheduled.
+ * @type {(number|null)}
+ */
+let saveTimeout = null;
+
+/**
+ * Loads the observation history of a site from the local storage.
+ * Must be called before the observations can be retrieved or added.
+ * @param {string} site The site, usually the host name of the page.
+ */
+export async function loadHistory(site) {
+    // Compose the key from the `historyPrefix` and the site.
+    historyKey = `${historyPrefix}${site}`;
+    // Load the history. If there is no history for the site yet, start with an empty one.
+    storedHistory = (await historyStorage.get(historyKey))[historyKey] ?? {};
+    // Ignore the observations that are too old, even if they have not been discarded from the storage yet.
+    pruneSiteHistory(storedHistory, Date.now());
+}
+
+/**
+ * Returns the observations of previous page loads for a signature.
+ * Observations of the current page load are not included.
+ * @param {string} category The category of the observations, e.g. `"countdown"`.
+ * @param {string} signature The signature that identifies the observed object within the site.
+ * @returns {Array<Observation>} The observations, sorted from oldest to newest.
+ */
+export function getObservations(category, signature) {
+    return storedHistory[category]?.[signature] ?? [];
+}
+
+/**
+ * Returns the observations of previous page loads for all signatures of a category.
+ * @param {string} category The category of the observations.
+ * @returns {Object.<string, Array<Observation>>} The observations with the signatures as keys.
+ */
+export function getAllObservations(category) {
+    return storedHistory[category] ?? {};
+}
+
+/**
+ * Adds an observation of the current page load. The observations are saved shortly afterwards.
+ * A later observation of the same category and signature within the page load replaces the earlier one.
+ * @param {string} category The category of the observation, e.g. `"countdown"`.
+ * @param {string} signature The signature that identifies the observed object within the site.
+ * @param {any} value The observed value. Must be serializable to JSON.
+ */
+export function addObservation(category, signature, value) {
+    // Do nothing if the history has not been loaded.
+    if (historyKey === null) {
+        return;
+    }
+    // Keep the observation until it is saved.
+    pendingObservations.set(`${category}\n${signature}`, {
+        category: category,
+        signature: signature,
+        observation: { time: Date.now(), value: value, load: pageLoadId }
+    });
+    // Schedule the saving, if it is not already scheduled, so that several observations are saved together.
+    if (saveTimeout === null) {
+        saveTimeout = setTimeout(() => {
+            // Report errors of the storage, e.g. an exceeded quota, since they cannot be handled otherwise.
+            saveHistory().catch(error => console.error(brw.i18n.getMessage("errorSaveHistory"), error));
+        }, 1000);
+    }
+}
+
+/**
+ * Discards the observations of a site history that are older than the `maxHistoryAge`,
+ * together with the signatures and categories that have no observations left.
+ * @param {Object.<string, Object.<string, Array<Observation>>>} siteHistory The history of a site, which is changed.
+ * @param {number} now The current timestamp in milliseconds.
+ */
+function pruneSiteHistory(siteHistory, now) {
+    for (const [category, categoryHistory] of Object.entries(siteHistory)) {
+        for (const [signature, observations] of Object.entries(categoryHistory)) {
+            categoryHistory[signature] = observations.filter(observation => now - observation.time <= maxHistoryAge);
+            if (categoryHistory[signature].length === 0) {
+                delete categoryHistory[signature];
+            }
+        }
+        if (Object.keys(categoryHistory).length === 0) {
+            delete siteHistory[category];
+        }
+    }
+}
+
+/**
+ * Records the time of the last observation of the current site and removes the histories of the sites
+ * that are older than the `maxHistoryAge` or exceed the `maxHistorySites`.
+ * If the sites have not been recorded yet, they are determined once from all keys of the local storage.
+ * @param {number} now The current timestamp in milliseconds.
+ */
+async function pruneHistorySites(now) {
+    let sites = (await historyStorage.get(historySitesKey))[historySitesKey];
+    if (!sites) {
+        // The histories stored before the sites were recorded count as observed now, so that none is lost at once.
+        sites = Object.fromEntries(Object.keys(await historyStorage.get(null))
+            .filter(key => key.startsWith(historyPrefix))
+            .map(key => [key, now]));
+    }
+    sites[historyKey] = now;
+    // Keep the most recently observed sites that are not too old.
+    const keptKeys = Object.keys(sites)
+        .filter(key => now - sites[key] <= maxHistoryAge)
+        .sort((a, b) => sites[b] - sites[a])
+        .slice(0, maxHistorySites);
+    const removedKeys = Object.keys(sites).filter(key => !keptKeys.includes(key));
+    if (removedKeys.length > 0) {
+        await historyStorage.remove(removedKeys);
+    }
+    await historyStorage.set({ [historySitesKey]: Object.fromEntries(keptKeys.map(key => [key, sites[key]])) });
+}
+
+/**
+ * Saves the pending observations in the local storage.
+ * The history is loaded again before saving, since it may have been changed in other tabs in the meantime.
+ * @returns {Promise<void>} A promise that is rejected if the storage fails, e.g. because its quota is exceeded.
+ */
+async function saveHistory() {
+    saveTimeout = null;
+    // Load the current history from the storage.
+    let currentHistory = (await historyStorage.get(historyKey))[historyKey] ?? {};
+    // Add all pending observations.
+    for (const { category, signature, observation } of pendingObservations.values()) {
+        let categoryHistory = currentHistory[category] ??= {};
+        let observations = categoryHistory[signature] ??= [];
+        // Replace the last observation if it is from the current page load, otherwise append the observation.
+        if (observations.length > 0 && observations[observations.length - 1].load === pageLoadId) {
+            observations[observations.length - 1] = observation;
+        } else {
+            observations.push(observation);
+        }
+        // Discard the oldest observations of the signature.
+        categoryHistory[signature] = observations.slice(-maxObservationsPerSignature);
+        // Discard the signatures with the oldest observations.
+        const signatures = Object.keys(categoryHistory);
+        if (signatures.length > maxSignaturesPerCategory) {
+            signatures
+                .sort((a, b) => categoryHistory[a].at(-1).time - categoryHistory[b].at(-1).time)
+                .slice(0, signatures.length - maxSignaturesPerCategory)
+                .forEach(s => delete categoryHistory[s]);
+        }
+    }
+    pendingObservations.clear();
+    // Discard the observations that are too old.
+    const now = Date.now();
+    pruneSiteHistory(currentHistory, now);
+    // Save the updated history.
+    await historyStorage.set({ [historyKey]: currentHistory });
+    // Limit the number and the age of the stored site histories.
+    await pruneHistorySites(now);
+}
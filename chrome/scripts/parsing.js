@@ -0,0 +1,222 @@
+/**
+ * Symbols and abbreviations of currencies with the ISO 4217 codes of the currencies.
+ * Symbols that are prefixes of other symbols (e.g. `$` of `US$`) must come after them.
+ * The `$` alone is interpreted as US dollar.
+ * @constant
+ * @type {Array<[string, string]>}
+ */
+const currencySymbols = [
+    ["US$", "USD"], ["CA$", "CAD"], ["C$", "CAD"], ["AU$", "AUD"], ["A$", "AUD"], ["NZ$", "NZD"], ["HK$", "HKD"], ["R$", "BRL"],
+    ["€", "EUR"], ["$", "USD"], ["£", "GBP"], ["¥", "JPY"], ["₹", "INR"], ["₽", "RUB"], ["₺", "TRY"], ["₩", "KRW"], ["₪", "ILS"],
+    ["zł", "PLN"], ["Kč", "CZK"], ["Fr.", "CHF"]
+];
+
+/**
+ * Names of currencies that are written out, with the ISO 4217 codes of the currencies.
+ * @constant
+ * @type {Array<{regex: RegExp, currency: string}>}
+ */
+const currencyNames = [
+    { regex: /^euros?$/i, currency: "EUR" },
+    { regex: /^dollars?$/i, currency: "USD" },
+    { regex: /^pounds?(?:\s*sterling)?$/i, currency: "GBP" }
+];
+
+/**
+ * The ISO 4217 codes of all currencies that the browser knows.
+ * Older browsers that cannot list the currencies are limited to the most common ones.
+ * The codes are only recognized in upper case, since many of them are also words in lower case, e.g. "all" or "top".
+ * @constant
+ * @type {Array<string>}
+ */
+const currencyCodes = Intl.supportedValuesOf?.("currency") ??
+    ["EUR", "USD", "GBP", "CHF", "JPY", "CNY", "CAD", "AUD", "NZD", "HKD", "SEK", "NOK", "DKK", "PLN", "CZK", "HUF", "RON", "TRY", "RUB", "INR", "BRL", "KRW", "ILS"];
+
+/**
+ * Escapes the special characters of a text, so that it can be used in a regular expression.
+ * @param {string} text The text to be escaped.
+ * @returns {string} The escaped text.
+ */
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Source of a regular expression for a currency, i.e. a symbol, an ISO 4217 code or a written-out name.
+ * Codes and names must not be preceded or followed by other letters, so that e.g. "10 allowed" is not read as 10 Albanian lek.
+ * @constant
+ * @type {string}
+ */
+const currencyRegexSource = "(?:" +
+    currencySymbols.map(([symbol]) => escapeRegex(symbol)).join("|") +
+    "|(?<![a-zA-Z])(?:" + currencyCodes.join("|") + "|[Ee]uros?|[Dd]ollars?|[Pp]ounds?(?:\\s*[Ss]terling)?)(?![a-zA-Z]))";
+
+/**
+ * Source of a regular expression for the number of an amount in the formats of the different locales,
+ * e.g. "1,299.00", "1.299,00", "1 299,00", "1'299.00", "9,99" or "10,-".
+ * @constant
+ * @type {string}
+ */
+const amountNumberRegexSource = "(?:\\d{1,3}(?:[.,'’\\u00a0\\u202f ]\\d{3})+|\\d+)(?:[.,](?:\\d{1,2}|--?)(?!\\d))?";
+
+/**
+ * Source of a regular expression for a monetary amount with the currency before or after the number,
+ * e.g. "9,99 €", "€ 9,99", "USD 1,299.00" or "12.50 EUR".
+ * The expression contains no capturing groups, so that it can be embedded into other expressions.
+ * @constant
+ * @type {string}
+ */
+export const amountRegexSource = `(?:${currencyRegexSource}\\s*${amountNumberRegexSource}|${amountNumberRegexSource}\\s*${currencyRegexSource})`;
+
+/**
+ * The units of time spans in English, German, French, Spanish, Italian and Dutch with their length in seconds.
+ * Months and years are approximated by 30 and 365 days.
+ * @constant
+ * @type {Array<{unit: string, seconds: number, source: string}>}
+ */
+const timeUnits = [
+    { unit: "year", seconds: 31536000, source: "years?|yrs?|y|jahren?|jahre|années?|ans?|años?|ann[oi]|jaren|jaar" },
+    { unit: "month", seconds: 2592000, source: "months?|mo|monaten?|monate|mois|meses|mes[ei]?|maanden|maand|mnd" },
+    { unit: "week", seconds: 604800, source: "weeks?|wks?|w|wochen?|semaines?|semanas?|settiman[ae]|weken|week|wk" },
+    { unit: "day", seconds: 86400, source: "days?|d|tagen?|tage?|jours?|j|d[ií]as?|giorn[oi]|gg?|dagen|dag" },
+    { unit: "hour", seconds: 3600, source: "hours?|hrs?|h|stunden?|std|heures?|horas?|ore|ora|uren|uur|u" },
+    { unit: "minute", seconds: 60, source: "minutes?|mins?|m|minuten?|minutos?|minut[oi]|minuut" },
+    { unit: "second", seconds: 1, source: "seconds?|secs?|s|sekunden?|sek|secondes?|segundos?|segs?|second[oi]|seconden?" }
+];
+
+/**
+ * Source of a regular expression for a unit of a time span in one of the supported languages, e.g. "days", "Std." or "m".
+ * The unit must not be followed by other letters, so that e.g. "m" does not match the beginning of "minutes".
+ * @constant
+ * @type {string}
+ */
+export const timeUnitRegexSource = `(?:(?:${timeUnits.map(timeUnit => timeUnit.source).join("|")})\\.?(?![a-zA-ZÀ-ÿ]))`;
+
+/**
+ * The sources of the regular expressions that can be embedded into the regular expressions of pattern rules
+ * with placeholders of the form `{{name}}`, e.g. `{{amount}}\s*per\s*month` (see `expandRegexPlaceholders`).
+ * @constant
+ * @type {Object.<string, string>}
+ */
+export const regexPlaceholders = {
+    amount: amountRegexSource,
+    timeUnit: timeUnitRegexSource
+};
+
+/**
+ * Replaces the placeholders of the form `{{name}}` in the source of a regular expression
+ * with the sources of the `regexPlaceholders`.
+ * @param {string} source The source of the regular expression.
+ * @returns {(string|null)} The source with the placeholders replaced, or `null` if it contains an unknown placeholder.
+ */
+export function expandRegexPlaceholders(source) {
+    let unknown = false;
+    const expanded = source.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => {
+        if (!Object.hasOwn(regexPlaceholders, name)) {
+            unknown = true;
+            return placeholder;
+        }
+        return regexPlaceholders[name];
+    });
+    return unknown ? null : expanded;
+}
+
+/**
+ * @typedef {object} Amount
+ * @property {string} text - The text of the amount as it appears on the page.
+ * @property {number} value - The numeric value of the amount.
+ * @property {string} currency - The ISO 4217 code of the currency.
+ */
+
+/**
+ * Determines the ISO 4217 code of a currency that matches the `currencyRegexSource`.
+ * @param {string} text The symbol, code or name of the currency.
+ * @returns {string} The ISO 4217 code.
+ */
+function getCurrencyCode(text) {
+    text = text.trim();
+    if (currencyCodes.includes(text)) {
+        return text;
+    }
+    return currencySymbols.find(([symbol]) => symbol === text)?.[1]
+        ?? currencyNames.find(name => name.regex.test(text))?.currency
+        ?? "USD";
+}
+
+/**
+ * Parses the number of an amount in the format of any of the supported locales.
+ * If both `.` and `,` occur, the last one is the decimal separator. If only one of them occurs,
+ * it is the decimal separator if it is followed by one or two digits (or a dash, as in "10,-")
+ * and occurs only once, otherwise it groups the thousands. Spaces and apostrophes always group the thousands.
+ * @param {string} text The number, e.g. "1.299,00" or "1,299".
+ * @returns {number} The value of the number.
+ */
+export function parseAmountNumber(text) {
+    // Spaces and apostrophes only group the thousands.
+    const number = text.replace(/['’\u00a0\u202f ]/g, "");
+    const decimal = /([.,])(\d{1,2}|--?)$/.exec(number);
+    // Without a decimal separator, all separators group the thousands, e.g. in "1,299" or "1.299.000".
+    if (!decimal || number.indexOf(decimal[1]) !== decimal.index) {
+        return parseFloat(number.replace(/[.,]/g, ""));
+    }
+    const integer = number.slice(0, decimal.index).replace(/[.,]/g, "");
+    const fraction = /\d/.test(decimal[2]) ? decimal[2] : "0";
+    return parseFloat(`${integer}.${fraction}`);
+}
+
+/**
+ * Parses a monetary amount that matches the `amountRegexSource`.
+ * Codes and names of currencies are case-sensitive, as in `findAmounts`, even if the amount was found
+ * by a case-insensitive regular expression, so that e.g. "top 5" is not an amount.
+ * @param {string} text The text of the amount, e.g. "9,99 €" or "USD 1,299.00".
+ * @returns {(Amount|null)} The parsed amount, or `null` if the text is not an amount.
+ */
+export function parseAmount(text) {
+    const match = new RegExp(`^\\s*(?:(${currencyRegexSource})\\s*(${amountNumberRegexSource})|(${amountNumberRegexSource})\\s*(${currencyRegexSource}))\\s*$`).exec(text);
+    if (!match) {
+        return null;
+    }
+    return { text: text, value: parseAmountNumber(match[2] ?? match[3]), currency: getCurrencyCode(match[1] ?? match[4]) };
+}
+
+/**
+ * Finds all monetary amounts in a text.
+ * Codes and names of currencies are case-sensitive here, so that common words are not taken for currencies.
+ * @param {string} text The text to be searched.
+ * @returns {Array<Amount>} The amounts in the order of their appearance.
+ */
+export function findAmounts(text) {
+    return [...text.matchAll(new RegExp(amountRegexSource, "g"))].map(match => parseAmount(match[0]));
+}
+
+/**
+ * @typedef {object} Duration
+ * @property {string} text - The text of the time span as it appears on the page.
+ * @property {number} seconds - The length of the time span in seconds.
+ * @property {Array<{value: number, unit: (string|undefined)}>} parts - The numbers of the time span with their units,
+ * e.g. `{value: 3, unit: "day"}`. The unit is `undefined` if the number has no known unit.
+ */
+
+/**
+ * Parses a time span, e.g. "3 Tage 4 Std.", "2h 15m" or "23:59:58".
+ * Time spans with units are evaluated using the units.
+ * Time spans without units (e.g. "23:59:58") or with unknown units are evaluated by position,
+ * where the last number is interpreted as seconds, the one before as minutes, then hours and days.
+ * @param {string} text The text of the time span.
+ * @returns {Duration} The parsed time span.
+ */
+export function parseDuration(text) {
+    // Extract all pairs of numbers and the words following them.
+    const pairs = [...text.matchAll(/(\d+)\s*(\p{L}*\.?)/gu)];
+    // Determine the unit of each number. The unit is `undefined` if the word is not a known unit.
+    const units = pairs.map(pair => timeUnits.find(timeUnit => new RegExp(`^(?:${timeUnit.source})\\.?$`, "iu").test(pair[2])));
+    const parts = pairs.map((pair, idx) => ({ value: parseInt(pair[1]), unit: units[idx]?.unit }));
+    // Evaluate the time span by position if at least one unit is unknown.
+    if (units.includes(undefined)) {
+        const positions = [1, 60, 3600, 86400];
+        const seconds = [...parts].reverse().reduce((sum, part, idx) => sum + part.value * (positions[idx] ?? 0), 0);
+        return { text: text, seconds: seconds, parts: parts };
+    }
+    // Otherwise, evaluate the time span using the units.
+    return { text: text, seconds: parts.reduce((sum, part, idx) => sum + part.value * units[idx].seconds, 0), parts: parts };
+}
@@ -0,0 +1,302 @@
+/**
+ * The object to access the API functions of the browser.
+ * @constant
+ * @type {{runtime: object, storage: object, i18n: object}} BrowserAPI
+ */
+const brw = chrome;
+
+/**
+ * The object to access the browser storage API for the patterns defined by the user.
+ * The patterns are kept in the local storage, since they can exceed the size limits of the synchronized storage.
+ * @constant
+ * @type {object}
+ */
+export const rulesStorage = brw.storage.local;
+
+/**
+ * The key in the `rulesStorage` under which the custom patterns are stored.
+ * @constant
+ * @type {string}
+ */
+export const customPatternsKey = "customPatterns";
+
+/**
+ * The prefix for the class names of the custom patterns, which is followed by the ID of the pattern.
+ * @constant
+ * @type {string}
+ */
+const customClassNamePrefix = "custom-";
+
+/**
+ * The confidence score of a match of a regular expression of a custom pattern.
+ * @constant
+ * @type {number}
+ */
+const customPatternScore = 0.8;
+
+/**
+ * @typedef {object} CustomPattern
+ * A pattern defined by the user on the options page.
+ * @property {string} id - The ID of the pattern, which only consists of lowercase letters and digits.
+ * @property {string} name - The name of the pattern.
+ * @property {string} description - A brief explanation of the pattern, may be empty.
+ * @property {string} color - The color with which the pattern is highlighted, in the form `#rrggbb`.
+ * @property {boolean} enabled - Whether the pattern is detected on the pages.
+ * @property {Object.<string, Array<string>>} languages - The sources of the regular expressions of the pattern
+ * with the ISO 639-1 codes of their languages as keys.
+ */
+
+/**
+ * Creates a new custom pattern with a unique ID and without regular expressions.
+ * @returns {CustomPattern} The new custom pattern.
+ */
+export function createCustomPattern() {
+    return {
+        id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        name: "",
+        description: "",
+        color: "#ff00ff",
+        enabled: true,
+        languages: { en: [] }
+    };
+}
+
+/**
+ * Loads the custom patterns from the `rulesStorage`.
+ * @returns {Promise<Array<CustomPattern>>} The custom patterns, or an empty array if none have been defined yet.
+ */
+export async function getCustomPatterns() {
+    return (await rulesStorage.get({ [customPatternsKey]: [] }))[customPatternsKey];
+}
+
+/**
+ * Stores the custom patterns in the `rulesStorage`.
+ * The content scripts and the popup react to the change of the storage.
+ * @param {Array<CustomPattern>} customPatterns The custom patterns.
+ */
+export async function setCustomPatterns(customPatterns) {
+    return await rulesStorage.set({ [customPatternsKey]: customPatterns });
+}
+
+/**
+ * Converts a custom pattern into a declarative pattern rule (see `PatternRule` in `constants.js`),
+ * from which the pattern of the `patternConfig` is compiled.
+ * Since custom patterns have no explanation on the `dapde.de` website, their info URL refers to the options page.
+ * @param {CustomPattern} customPattern The custom pattern.
+ * @returns {object} The pattern rule.
+ */
+export function customPatternToRule(customPattern) {
+    return {
+        className: customClassNamePrefix + customPattern.id,
+        name: customPattern.name.trim(),
+        // Use the name as explanation if no description was entered, since an explanation is required.
+        info: customPattern.description.trim() || customPattern.name.trim(),
+        infoUrl: brw.runtime.getURL("options/options.html"),
+        color: customPattern.color,
+        languages: Object.fromEntries(Object.entries(customPattern.languages).map(([language, regexes]) => [
+            language.trim().toLowerCase(),
+            regexes.map((regex, idx) => ({
+                rule: `${customClassNamePrefix}${customPattern.id}-${language.trim().toLowerCase()}-${idx + 1}`,
+                regex: regex,
+                score: customPatternScore
+            }))
+        ]))
+    };
+}
+
+/**
+ * The key in the `rulesStorage` under which the imported rule packs are stored.
+ * @constant
+ * @type {string}
+ */
+export const rulePacksKey = "rulePacks";
+
+/**
+ * The value of the `format` field that identifies a JSON file as a rule pack of the extension.
+ * @constant
+ * @type {string}
+ */
+export const rulePackFormat = "pattern-highlighter-rule-pack";
+
+/**
+ * The prefix for the class names of the patterns of rule packs, which is followed by the ID of the pack
+ * and the class name of the rule, so that the rules of different packs cannot collide.
+ * @constant
+ * @type {string}
+ */
+const rulePackClassNamePrefix = "pack-";
+
+/**
+ * @typedef {object} RulePack
+ * A set of declarative pattern rules that is shared as JSON file and imported on the options page.
+ * @property {string} format - The format of the file, always `rulePackFormat`.
+ * @property {string} id - The ID of the pack, which only consists of lowercase letters, digits and hyphens.
+ * All versions of a pack have the same ID.
+ * @property {string} name - The name of the pack.
+ * @property {string} version - The version of the pack, consisting of numbers separated by dots, e.g. `1.2.0`.
+ * @property {string} author - The author of the pack.
+ * @property {Array<string>} languages - The ISO 639-1 codes of the languages of the rules.
+ * @property {Array<object>} rules - The pattern rules (see `PatternRule` in `constants.js`).
+ * The info URL may be omitted, in which case it refers to the options page.
+ * @property {string} integrity - The checksum of the pack in the form `sha256-<Base64>` (see `computeRulePackIntegrity`).
+ */
+
+/**
+ * @typedef {object} StoredRulePack
+ * An imported rule pack with all of its imported versions.
+ * @property {string} id - The ID of the pack.
+ * @property {boolean} enabled - Whether the patterns of the pack are detected on the pages.
+ * @property {string} activeVersion - The version of the pack whose rules are used.
+ * @property {Array<RulePack>} versions - The imported versions of the pack, sorted from the oldest to the newest.
+ */
+
+/**
+ * Loads the imported rule packs from the `rulesStorage`.
+ * @returns {Promise<Array<StoredRulePack>>} The rule packs, or an empty array if none have been imported yet.
+ */
+export async function getRulePacks() {
+    return (await rulesStorage.get({ [rulePacksKey]: [] }))[rulePacksKey];
+}
+
+/**
+ * Stores the imported rule packs in the `rulesStorage`.
+ * The content scripts and the popup react to the change of the storage.
+ * @param {Array<StoredRulePack>} rulePacks The rule packs.
+ */
+export async function setRulePacks(rulePacks) {
+    return await rulesStorage.set({ [rulePacksKey]: rulePacks });
+}
+
+/**
+ * Compares two versions of a rule pack number by number, e.g. `1.10` is newer than `1.9`.
+ * Missing numbers count as `0`, so that `1.0` and `1` are equal.
+ * @param {string} versionA The first version.
+ * @param {string} versionB The second version.
+ * @returns {number} A negative number if the first version is older, a positive one if it is newer, `0` if both are equal.
+ */
+export function compareRulePackVersions(versionA, versionB) {
+    const numbersA = versionA.split(".").map(Number);
+    const numbersB = versionB.split(".").map(Number);
+    for (let i = 0; i < Math.max(numbersA.length, numbersB.length); i++) {
+        const difference = (numbersA[i] ?? 0) - (numbersB[i] ?? 0);
+        if (difference !== 0) {
+            return difference;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Returns the active version of a stored rule pack.
+ * @param {StoredRulePack} rulePack The stored rule pack.
+ * @returns {(RulePack|undefined)} The active version, or `undefined` if it is not stored.
+ */
+export function getActiveRulePackVersion(rulePack) {
+    return rulePack.versions.find(version => version.version === rulePack.activeVersion);
+}
+
+/**
+ * Serializes a value to JSON with the keys of all objects in ascending order,
+ * so that the same content always results in the same text, regardless of the order in the file.
+ * @param {any} value The value to be serialized.
+ * @returns {string} The canonical JSON of the value.
+ */
+function toCanonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(toCanonicalJson).join(",")}]`;
+    }
+    if (value && typeof value === "object") {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${toCanonicalJson(value[key])}`).join(",")}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Computes the checksum of a rule pack, i.e. the SHA-256 hash of the canonical JSON (see `toCanonicalJson`)
+ * of all fields of the pack except the `integrity` field itself.
+ * The hash is not keyed, so it only detects accidental damage: anyone who changes a pack can compute a new checksum.
+ * It does not prove who created the pack.
+ * @param {RulePack} rulePack The rule pack.
+ * @returns {Promise<string>} The checksum in the form `sha256-<Base64>`.
+ */
+export async function computeRulePackIntegrity(rulePack) {
+    const { integrity, ...content } = rulePack;
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(toCanonicalJson(content)));
+    return "sha256-" + btoa(String.fromCharCode(...new Uint8Array(digest)));
+}
+
+/**
+ * Checks the format, the metadata and the checksum of a rule pack that is imported.
+ * The rules of the pack are checked separately against the schema of `PatternRule` (see `rulePackToRules`).
+ * @param {any} rulePack The parsed content of the imported file.
+ * @returns {Promise<(string|null)>} The localized error message, or `null` if the pack is valid.
+ */
+export async function getRulePackError(rulePack) {
+    if (!rulePack || typeof rulePack !== "object" || rulePack.format !== rulePackFormat || !Array.isArray(rulePack.rules)) {
+        return brw.i18n.getMessage("errorRulePackFile");
+    }
+    // The metadata is displayed on the options page and identifies the versions of the pack.
+    if (typeof rulePack.id !== "string" || !/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(rulePack.id) ||
+        typeof rulePack.name !== "string" || !rulePack.name.trim() ||
+        typeof rulePack.version !== "string" || !/^\d+(?:\.\d+)*$/.test(rulePack.version) ||
+        typeof rulePack.author !== "string" || !rulePack.author.trim() ||
+        !Array.isArray(rulePack.languages) || rulePack.languages.length <= 0 ||
+        rulePack.languages.some(language => typeof language !== "string" || !/^[a-z]{2}$/.test(language))) {
+        return brw.i18n.getMessage("errorRulePackMetadata");
+    }
+    // The rules must only use the languages declared in the metadata.
+    if (rulePack.rules.some(rule => rule?.languages && typeof rule.languages === "object" &&
+        Object.keys(rule.languages).some(language => !rulePack.languages.includes(language)))) {
+        return brw.i18n.getMessage("errorRulePackLanguages");
+    }
+    // The pack must not have been damaged after the checksum was computed.
+    if (typeof rulePack.integrity !== "string" || rulePack.integrity !== await computeRulePackIntegrity(rulePack)) {
+        return brw.i18n.getMessage("errorRulePackChecksum");
+    }
+    return null;
+}
+
+/**
+ * Converts the rules of a version of a rule pack into pattern rules (see `PatternRule` in `constants.js`),
+ * from which the patterns of the `patternConfig` are compiled.
+ * The class names are prefixed with the ID of the pack and rules without an info URL refer to the options page.
+ * @param {RulePack} rulePack The version of the rule pack.
+ * @returns {Array<object>} The pattern rules.
+ */
+export function rulePackToRules(rulePack) {
+    return rulePack.rules.map(rule => {
+        if (!rule || typeof rule !== "object") {
+            return rule;
+        }
+        return {
+            ...rule,
+            className: typeof rule.className === "string" ? `${rulePackClassNamePrefix}${rulePack.id}-${rule.className}` : rule.className,
+            infoUrl: rule.infoUrl ?? (rule.infoUrlKey ? undefined : brw.runtime.getURL("options/options.html"))
+        };
+    });
+}
+
+/**
+ * Creates a new version of a rule pack from the enabled custom patterns, so that they can be shared as a file.
+ * The info URLs of the patterns are omitted, since they refer to the options page of this installation.
+ * @param {Array<CustomPattern>} customPatterns The custom patterns defined by the user.
+ * @param {{name: string, version: string, author: string}} metadata The metadata of the pack.
+ * The ID of the pack is derived from its name.
+ * @returns {Promise<RulePack>} The rule pack with its checksum.
+ */
+export async function createRulePack(customPatterns, metadata) {
+    const rules = customPatterns.filter(customPattern => customPattern.enabled).map(customPattern => {
+        const { infoUrl, ...rule } = customPatternToRule(customPattern);
+        return rule;
+    });
+    const rulePack = {
+        format: rulePackFormat,
+        id: metadata.name.trim().toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, ""),
+        name: metadata.name.trim(),
+        version: metadata.version.trim(),
+        author: metadata.author.trim(),
+        languages: [...new Set(rules.flatMap(rule => Object.keys(rule.languages)))].sort(),
+        rules: rules
+    };
+    return { ...rulePack, integrity: await computeRulePackIntegrity(rulePack) };
+}
@@ -0,0 +1,70 @@
+/**
+ * The object to access the API functions of the browser.
+ * @constant
+ * @type {{storage: object}} BrowserAPI
+ */
+const brw = chrome;
+
+/**
+ * The object to access the browser storage API for the settings of the extension.
+ * The settings are synchronized across the browsers of the user if supported,
+ * otherwise the local storage is used.
+ * @constant
+ * @type {object}
+ */
+export const settingsStorage = brw.storage.sync ? brw.storage.sync : brw.storage.local;
+
+/**
+ * The default values of all settings of the extension.
+ * The keys are also used as keys in the `settingsStorage`.
+ *  - `confidenceThreshold`: The minimum confidence score (between `0` and `1`) that a detection must reach to be reported.
+ *  - `highlightMode`: `"text"` to highlight only the matched text of a detection or
+ *      `"border"` to draw a border around the entire detected element.
+ *  - `disabledPatterns`: The class names of the patterns that are not detected (see `patternConfig`).
+ *  - `siteRules`: Persistent rules `{pattern: string, mode: "allow"|"block"}` whether the extension runs on the sites
+ *      that match the pattern, e.g. `intranet.example.com` or `*.shop.de`. They take precedence over the on/off switch.
+ *  - `defaultActivation`: `"on"` to run the extension on all sites without a rule or
+ *      `"optIn"` to run it only on sites where it was switched on or allowed by a rule.
+ *  - `patternStyles`: The highlight styles `{color, outlineStyle, thickness, tint}` set by the user for the patterns,
+ *      with the class names of the patterns as keys (see `HighlightStyle` in `constants.js`).
+ *      Patterns without an entry are highlighted with their own color or the default style.
+ * @constant
+ * @type {Object.<string, any>}
+ */
+export const defaultSettings = Object.freeze({
+    confidenceThreshold: 0.5,
+    highlightMode: "text",
+    disabledPatterns: [],
+    siteRules: [],
+    defaultActivation: "on",
+    patternStyles: {},
+});
+
+/**
+ * Normalizes the pattern of a site rule entered by the user, i.e. removes whitespace, the protocol and a trailing slash
+ * and converts it to lower case, e.g. `"https://Shop.de/"` becomes `"shop.de"`.
+ * @param {string} pattern The entered pattern.
+ * @returns {string} The normalized pattern.
+ */
+export function normalizeSitePattern(pattern) {
+    return pattern.trim().toLowerCase().replace(/^[a-z]+:\/\//, "").replace(/\/+$/, "");
+}
+
+/**
+ * Retrieves the value of a setting from the `settingsStorage`.
+ * @param {string} key The key of the setting (see `defaultSettings`).
+ * @returns {Promise<any>} The value of the setting or its default value if it has not been set yet.
+ */
+export async function getSetting(key) {
+    // Pass the default value, which is returned by the storage if the setting has not been set yet.
+    return (await settingsStorage.get({ [key]: defaultSettings[key] }))[key];
+}
+
+/**
+ * Sets the value of a setting in the `settingsStorage`.
+ * @param {string} key The key of the setting (see `defaultSettings`).
+ * @param {any} value The new value of the setting.
+ */
+export async function setSetting(key, value) {
+    return await settingsStorage.set({ [key]: value });
+}